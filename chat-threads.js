@@ -0,0 +1,206 @@
+/*
+  Chat threads
+
+  A saved routine can have several named chat threads, so a question about
+  a different topic ("Is this safe with my eczema cream?") does not get
+  mixed into the main discussion of the routine.
+
+  Every thread starts with the same pinned messages (system instruction,
+  routine prompt with the product JSON and the routine reply) and then has
+  its own follow-ups and its own rolling summary (conversation-memory.js):
+    { id, name, messages, memory, createdAt, updatedAt }
+
+  The active thread's messages live in conversationMessages as before, so
+  the rest of the app does not need to know about threads. The threads are
+  saved on the routine record in My Routines (routine-library.js).
+*/
+
+let chatThreads = []; // threads of the open routine
+let activeThreadId = null;
+
+const threadBar = document.getElementById("threadBar");
+const threadSelect = document.getElementById("threadSelect");
+
+function makeThread(name, messages, memory) {
+  const now = Date.now();
+  return {
+    id: `t-${now.toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+    name,
+    messages: messages.slice(),
+    memory: memory || { summary: "", summarizedCount: 0 },
+    createdAt: now,
+    updatedAt: now,
+  };
+}
+
+/* The messages every thread starts with: everything up to the routine reply */
+function pinnedMessages(messages) {
+  const firstReply = messages.findIndex((m) => m.role === "assistant");
+  return firstReply === -1
+    ? messages.slice()
+    : messages.slice(0, firstReply + 1);
+}
+
+/*
+  recordThreads(record)
+  - The threads of a saved routine. Routines saved before threads existed
+    have a single `conversation`; it becomes the "Main" thread.
+*/
+function recordThreads(record) {
+  if (Array.isArray(record.threads) && record.threads.length > 0) {
+    return record.threads.map((t) => ({ ...t, messages: t.messages.slice() }));
+  }
+  const messages = (record.conversation || []).slice();
+  return [makeThread("Main", messages, record.memory)];
+}
+
+function activeThread() {
+  return chatThreads.find((t) => t.id === activeThreadId) || null;
+}
+
+/* The follow-up gate: the active thread must contain a routine reply */
+function activeThreadHasRoutine() {
+  return conversationMessages.some((m) => m.role === "assistant");
+}
+
+/* Copy the live conversation back into the active thread before saving */
+function syncActiveThread() {
+  const thread = activeThread();
+  if (!thread) return;
+  thread.messages = conversationMessages.slice();
+  thread.memory = conversationMemory;
+  thread.updatedAt = Date.now();
+}
+
+/* Make the active thread's messages and memory the live conversation */
+function applyActiveThread() {
+  const thread = activeThread();
+  conversationMessages = thread ? thread.messages.slice() : [];
+  resetConversationMemory(thread && thread.memory);
+  routineGenerated = activeThreadHasRoutine();
+}
+
+/* A freshly generated routine starts with one "Main" thread */
+function startThreads(messages) {
+  const main = makeThread("Main", messages, conversationMemory);
+  chatThreads = [main];
+  activeThreadId = main.id;
+  renderThreadBar();
+}
+
+/*
+  clearThreads()
+  - Used when the chat no longer belongs to a saved routine (a new routine
+    is being generated, or the open one was deleted), so the old threads
+    can't be overwritten with the new conversation.
+*/
+function clearThreads() {
+  chatThreads = [];
+  activeThreadId = null;
+  renderThreadBar();
+}
+
+/* Load the threads of a saved routine and show its active thread */
+function openThreads(record) {
+  chatThreads = recordThreads(record);
+  const saved = chatThreads.find((t) => t.id === record.activeThreadId);
+  activeThreadId = (saved || chatThreads[0]).id;
+  applyActiveThread();
+  renderThreadBar();
+}
+
+/* Threads can't change while a reply is streaming into the current one */
+function threadsLocked() {
+  if (!activeReplyController) return false;
+  alert("Please wait for the current reply to finish (or stop it) first.");
+  return true;
+}
+
+function showActiveThread() {
+  applyActiveThread();
+  renderConversation(conversationMessages);
+  renderThreadBar();
+  updateActiveRoutineConversation();
+}
+
+function switchThread(id) {
+  if (id === activeThreadId || threadsLocked()) return;
+  syncActiveThread();
+  activeThreadId = id;
+  showActiveThread();
+}
+
+function createThread() {
+  if (chatThreads.length === 0 || threadsLocked()) return;
+  const suggested = `Thread ${chatThreads.length + 1}`;
+  const name = prompt("Name the new thread", suggested);
+  if (!name || !name.trim()) return;
+  syncActiveThread();
+  // a new thread starts from the routine, without the other follow-ups
+  const pinned = pinnedMessages(chatThreads[0].messages);
+  const thread = makeThread(name.trim(), pinned);
+  chatThreads.push(thread);
+  activeThreadId = thread.id;
+  showActiveThread();
+}
+
+function renameThread() {
+  const thread = activeThread();
+  if (!thread) return;
+  const name = prompt("Rename thread", thread.name);
+  if (!name || !name.trim()) return;
+  thread.name = name.trim();
+  renderThreadBar();
+  updateActiveRoutineConversation();
+}
+
+function deleteThread() {
+  const thread = activeThread();
+  if (!thread || chatThreads.length < 2 || threadsLocked()) return;
+  if (!confirm(`Delete the thread "${thread.name}"?`)) return;
+  chatThreads = chatThreads.filter((t) => t.id !== thread.id);
+  activeThreadId = chatThreads[0].id;
+  showActiveThread();
+}
+
+/* Number of follow-up questions in a thread, for the switcher */
+function threadQuestionCount(thread) {
+  const pinned = pinnedMessages(thread.messages).length;
+  return thread.messages.slice(pinned).filter((m) => m.role === "user").length;
+}
+
+/* Fill the thread switcher above the chat window */
+function renderThreadBar() {
+  if (!threadBar || !threadSelect) return;
+  threadBar.hidden = chatThreads.length === 0;
+  threadSelect.innerHTML = chatThreads
+    .map((t) => {
+      const n = threadQuestionCount(t);
+      const label = `${t.name} (${n} question${n === 1 ? "" : "s"})`;
+      const selected = t.id === activeThreadId ? "selected" : "";
+      return `<option value="${t.id}" ${selected}>${escapeHtml(
+        label
+      )}</option>`;
+    })
+    .join("");
+  const deleteBtn = document.getElementById("deleteThreadBtn");
+  if (deleteBtn) deleteBtn.disabled = chatThreads.length < 2;
+}
+
+function initChatThreads() {
+  if (!threadBar) return;
+  threadSelect.addEventListener("change", () => {
+    switchThread(threadSelect.value);
+    // keep showing the active thread if the switch was refused
+    threadSelect.value = activeThreadId;
+  });
+  [
+    ["newThreadBtn", createThread],
+    ["renameThreadBtn", renameThread],
+    ["deleteThreadBtn", deleteThread],
+  ].forEach(([id, action]) => {
+    const btn = document.getElementById(id);
+    if (btn) btn.addEventListener("click", () => action());
+  });
+  renderThreadBar();
+}
@@ -0,0 +1,189 @@
+/*
+  Inline citations
+
+  The worker numbers its verified sources 1..n and the model cites them in
+  the reply as [1] or [2, 3]. This file:
+    - prints the numbered Sources list under a reply
+    - turns the [n] markers in the reply into clickable superscripts that
+      jump to (and highlight) the matching source
+    - shows a small preview of the source when hovering or focusing a marker
+
+  Sources are stored on the assistant message itself
+  ({ role: "assistant", content, citations }) so they survive re-rendering
+  and saving. toMessagesArray() in script.js strips the extra field before
+  messages are sent to the worker.
+*/
+
+let citationGroupCount = 0; // gives every Sources list its own element ids
+
+// [1] or [2, 3]
+const CITATION_MARKER = /\[(\d+(?:\s*,\s*\d+)*)\]/g;
+
+/*
+  appendCitationsToChat(results)
+  - Adds the numbered Sources list to the chat window.
+  - Returns the group id used for the item ids (`${group}-${id}`), or null
+    when nothing was added.
+*/
+function appendCitationsToChat(results) {
+  if (!chatWindow || !results || results.length === 0) return null;
+  // the worker already verifies sources; still never link anything but http(s)
+  const safe = results.filter((r) => r && /^https?:\/\//i.test(r.url || ""));
+  if (safe.length === 0) return null;
+
+  citationGroupCount += 1;
+  const group = `sources-${citationGroupCount}`;
+  const cont = document.createElement("div");
+  cont.className = "chat-citations";
+  cont.innerHTML =
+    `<div class="citations-title">Sources:</div>` +
+    safe
+      .map((r, i) => {
+        const id = Number(r.id) || i + 1;
+        return `<div class="citation-item" id="${group}-${id}"><span class="citation-id">[${id}]</span> <a href="${escapeHtml(
+          r.url
+        )}" target="_blank" rel="noopener noreferrer">${escapeHtml(
+          r.title || r.url
+        )}</a><div class="citation-snippet">${escapeHtml(r.snippet || "").slice(
+          0,
+          200
+        )}</div></div>`;
+      })
+      .join("");
+  chatWindow.appendChild(cont);
+  chatWindow.scrollTop = chatWindow.scrollHeight;
+  return group;
+}
+
+/* HTML for one marker such as [2, 3]: one superscript link per known id */
+function citationMarkerHtml(ids, byId, group) {
+  return ids
+    .map((id) => {
+      const source = byId[id];
+      return `<sup class="cite-ref"><a href="#${group}-${id}" data-group="${group}" data-cite="${id}" aria-label="Source ${id}: ${escapeHtml(
+        source.title || source.url
+      )}">${id}</a></sup>`;
+    })
+    .join("");
+}
+
+/*
+  linkCitationMarkers(container, citations, group)
+  - Replaces [n] markers in the text inside `container` with superscript links.
+  - Markers that point at an unknown source are left as plain text.
+*/
+function linkCitationMarkers(container, citations, group) {
+  if (!container || !group) return;
+  const byId = {};
+  citations.forEach((c, i) => (byId[Number(c.id) || i + 1] = c));
+
+  // collect the text nodes first; changing the DOM while walking it skips nodes
+  const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT);
+  const textNodes = [];
+  while (walker.nextNode()) {
+    const node = walker.currentNode;
+    if (node.parentElement.closest("a, button, .msg-role")) continue;
+    if (/\[\d/.test(node.nodeValue)) textNodes.push(node);
+  }
+
+  textNodes.forEach((node) => {
+    let html = "";
+    let last = 0;
+    const text = node.nodeValue;
+    for (const match of text.matchAll(CITATION_MARKER)) {
+      const ids = match[1].split(",").map(Number);
+      if (!ids.every((id) => byId[id])) continue;
+      html +=
+        escapeHtml(text.slice(last, match.index)) +
+        citationMarkerHtml(ids, byId, group);
+      last = match.index + match[0].length;
+    }
+    if (last === 0) return;
+    html += escapeHtml(text.slice(last));
+
+    const span = document.createElement("span");
+    span.innerHTML = html;
+    node.replaceWith(...span.childNodes);
+  });
+}
+
+/*
+  showReplyCitations(messageEl, citations)
+  - Adds the Sources list after a reply and links the reply's [n] markers to it.
+*/
+function showReplyCitations(messageEl, citations) {
+  if (!Array.isArray(citations) || citations.length === 0) return;
+  const group = appendCitationsToChat(citations);
+  linkCitationMarkers(messageEl, citations, group);
+}
+
+/* Scroll to a source and highlight it for a moment */
+function focusCitation(group, id) {
+  const item = document.getElementById(`${group}-${id}`);
+  if (!item) return;
+  item.scrollIntoView({ behavior: "smooth", block: "nearest" });
+  item.classList.remove("cite-highlight");
+  void item.offsetWidth; // restart the highlight animation
+  item.classList.add("cite-highlight");
+}
+
+/* ---------- hover / focus preview ---------- */
+
+let citationPreview = null;
+
+function showCitationPreview(link) {
+  const item = document.getElementById(
+    `${link.dataset.group}-${link.dataset.cite}`
+  );
+  if (!item) return;
+  if (!citationPreview) {
+    citationPreview = document.createElement("div");
+    citationPreview.className = "cite-preview";
+    citationPreview.setAttribute("role", "tooltip");
+    document.body.appendChild(citationPreview);
+  }
+
+  const title = item.querySelector("a");
+  const snippet = item.querySelector(".citation-snippet");
+  citationPreview.innerHTML = `<strong>${escapeHtml(
+    title ? title.textContent : ""
+  )}</strong>${
+    snippet && snippet.textContent
+      ? `<div>${escapeHtml(snippet.textContent)}</div>`
+      : ""
+  }`;
+
+  // place it just under the marker, kept inside the viewport
+  const rect = link.getBoundingClientRect();
+  const left = Math.min(rect.left, window.innerWidth - 300);
+  citationPreview.style.left = `${Math.max(8, left) + window.scrollX}px`;
+  citationPreview.style.top = `${rect.bottom + 6 + window.scrollY}px`;
+  citationPreview.hidden = false;
+}
+
+function hideCitationPreview() {
+  if (citationPreview) citationPreview.hidden = true;
+}
+
+// one set of listeners for every marker, including ones added later
+document.addEventListener("click", (e) => {
+  const link = e.target.closest(".cite-ref a");
+  if (!link) return;
+  e.preventDefault();
+  hideCitationPreview();
+  focusCitation(link.dataset.group, link.dataset.cite);
+});
+
+["mouseover", "focusin"].forEach((type) =>
+  document.addEventListener(type, (e) => {
+    const link = e.target.closest && e.target.closest(".cite-ref a");
+    if (link) showCitationPreview(link);
+  })
+);
+
+["mouseout", "focusout"].forEach((type) =>
+  document.addEventListener(type, (e) => {
+    if (e.target.closest && e.target.closest(".cite-ref a"))
+      hideCitationPreview();
+  })
+);
@@ -0,0 +1,172 @@
+/*
+  Conversation memory and token budget
+
+  Every follow-up question used to resend the whole conversation, and the
+  worker adds its web results on top, so a long chat would eventually go
+  past the model's context limit (and cost more with every turn).
+  messagesWithinBudget() keeps what is sent under a token budget:
+
+    [pinned]   system instruction, the routine prompt with the product JSON
+               and the routine reply - always sent, so follow-ups never lose
+               the products or the routine
+    [summary]  one system note summarizing the older follow-up turns; it
+               "rolls": new turns that fall out of the window are folded
+               into the existing note
+    [recent]   the latest follow-up turns, as many as fit
+
+  Tokens are estimated (about 4 characters per token), which is close enough
+  for budgeting without shipping a tokenizer. The budget can be changed with
+  window.CHAT_TOKEN_BUDGET (e.g. in secrets.js).
+
+  Summaries come from the worker's /v1/summarize route. If that fails a
+  short local summary is used instead, so a question is never blocked.
+*/
+
+const CHAT_TOKEN_BUDGET = Number(window.CHAT_TOKEN_BUDGET) || 6000;
+const WEB_RESULTS_TOKEN_RESERVE = 1200; // the worker adds up to 6 sources
+const SUMMARY_TOKEN_RESERVE = 300; // room for the rolling summary note
+const MIN_RECENT_MESSAGES = 2; // always send the new question and last reply
+const SUMMARIZE_TARGET = 0.6; // after summarizing, fill only 60% of the room
+
+// summary of the follow-up turns that are no longer sent in full:
+// `summarizedCount` follow-up messages (after the pinned ones) are covered
+let conversationMemory = { summary: "", summarizedCount: 0 };
+
+function resetConversationMemory(memory) {
+  conversationMemory =
+    memory && typeof memory.summary === "string"
+      ? { summary: memory.summary, summarizedCount: memory.summarizedCount }
+      : { summary: "", summarizedCount: 0 };
+}
+
+/* Rough token count for a piece of text */
+function estimateTokens(text) {
+  return Math.ceil(String(text || "").length / 4);
+}
+
+/* A message costs its content plus a few tokens for the role */
+function estimateMessagesTokens(messages) {
+  return messages.reduce(
+    (total, m) => total + 4 + estimateTokens(m.content),
+    0
+  );
+}
+
+/*
+  recentStart(turns, room, minKeep)
+  - Index of the oldest turn to keep so that turns[start..] fit in `room`
+    tokens (always keeping at least `minKeep` turns).
+*/
+function recentStart(turns, room, minKeep) {
+  let start = turns.length;
+  let used = 0;
+  while (start > 0) {
+    const cost = estimateMessagesTokens([turns[start - 1]]);
+    if (turns.length - start >= minKeep && used + cost > room) break;
+    used += cost;
+    start--;
+  }
+  return start;
+}
+
+/* First sentence (or the first 160 characters) of a message */
+function shortText(text) {
+  const clean = String(text || "")
+    .replace(/\s+/g, " ")
+    .trim();
+  const sentence = clean.match(/^.*?[.!?](\s|$)/);
+  const first = sentence ? sentence[0].trim() : clean;
+  return first.length > 160 ? `${first.slice(0, 157)}…` : first;
+}
+
+/*
+  localTurnSummary(previous, turns)
+  - Used when the worker cannot summarize: one line per turn, dropping the
+    oldest lines once the note outgrows SUMMARY_TOKEN_RESERVE.
+*/
+function localTurnSummary(previous, turns) {
+  const lines = turns.map((m) => {
+    const who = m.role === "user" ? "Customer asked" : "Advisor said";
+    return `- ${who}: ${shortText(m.content)}`;
+  });
+  const all = [...String(previous || "").split("\n"), ...lines].filter(Boolean);
+  const tooLong = () => estimateTokens(all.join("\n")) > SUMMARY_TOKEN_RESERVE;
+  while (all.length > 1 && tooLong()) all.shift();
+  return all.join("\n");
+}
+
+/*
+  summarizeTurns(previous, turns)
+  - Asks the worker to fold `turns` into the `previous` summary.
+  - Returns the new summary text.
+*/
+async function summarizeTurns(previous, turns) {
+  try {
+    const endpoint = `${workerBaseUrl()}/${WORKER_API_VERSION}/summarize`;
+    // one quick retry: a local summary is fine if the worker is struggling
+    const resp = await fetchWithRetry(
+      endpoint,
+      {
+        method: "POST",
+        headers: workerHeaders(),
+        body: JSON.stringify({
+          summary: previous,
+          messages: toMessagesArray(turns),
+        }),
+      },
+      { retries: 1 }
+    );
+    const data = await resp.json();
+    if (data && data.ok && data.data.summary) return data.data.summary;
+    throw workerError(data && data.error, resp.status);
+  } catch (err) {
+    debugLog(
+      "Summarizing the conversation failed, using a short local summary:",
+      err
+    );
+    return localTurnSummary(previous, turns);
+  }
+}
+
+/*
+  messagesWithinBudget(messages)
+  - Returns the messages to send for a follow-up question (see the top of
+    this file). Summarizes older turns first when they no longer fit.
+  - Before the routine exists (nothing to pin yet) messages are returned
+    as they are.
+*/
+async function messagesWithinBudget(messages) {
+  const firstReply = messages.findIndex((m) => m.role === "assistant");
+  if (firstReply === -1) return messages;
+
+  const pinned = messages.slice(0, firstReply + 1);
+  const turns = messages.slice(firstReply + 1);
+  const room =
+    CHAT_TOKEN_BUDGET -
+    WEB_RESULTS_TOKEN_RESERVE -
+    SUMMARY_TOKEN_RESERVE -
+    estimateMessagesTokens(pinned);
+
+  let start = recentStart(turns, room, MIN_RECENT_MESSAGES);
+  if (start > conversationMemory.summarizedCount) {
+    // summarize a bit more than needed so this does not happen every turn
+    start = recentStart(turns, room * SUMMARIZE_TARGET, MIN_RECENT_MESSAGES);
+    const summary = await summarizeTurns(
+      conversationMemory.summary,
+      turns.slice(conversationMemory.summarizedCount, start)
+    );
+    conversationMemory = { summary, summarizedCount: start };
+  }
+  // turns already in the summary are not sent again
+  start = Math.max(start, conversationMemory.summarizedCount);
+
+  const note = conversationMemory.summary
+    ? [
+        {
+          role: "system",
+          content: `Summary of the earlier follow-up conversation (older messages are not shown):\n${conversationMemory.summary}`,
+        },
+      ]
+    : [];
+  return [...pinned, ...note, ...turns.slice(start)];
+}
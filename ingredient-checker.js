@@ -0,0 +1,228 @@
+/*
+  Ingredient conflict and layering checker
+
+  Every product in products.json has an `ingredients` array. This file groups
+  those ingredients into "actives" (retinoids, AHAs, BHAs, vitamin C, ...) and
+  runs a few simple rules over the selected products:
+    - conflicts: actives that should not be layered in the same step
+    - duplicates: the same active coming from more than one product
+    - missing SPF: exfoliants or retinoids selected without a sunscreen
+
+  The warnings are shown in the Selected Products panel and added to the
+  routine prompt so the AI plans around them.
+*/
+
+// ingredient names (lowercase) that belong to each active group
+const ACTIVE_GROUPS = {
+  retinoid: {
+    label: "Retinoid",
+    matches: ["retinol", "retinyl palmitate", "retinal", "adapalene"],
+  },
+  aha: {
+    label: "AHA",
+    matches: ["glycolic acid", "lactic acid", "mandelic acid"],
+  },
+  bha: {
+    label: "BHA",
+    matches: ["salicylic acid", "lipo-hydroxy acid"],
+  },
+  vitaminC: {
+    label: "Vitamin C",
+    matches: ["vitamin c", "ascorbic acid"],
+  },
+  benzoylPeroxide: {
+    label: "Benzoyl peroxide",
+    matches: ["benzoyl peroxide"],
+  },
+  sunscreen: {
+    label: "SPF",
+    matches: [
+      "zinc oxide",
+      "titanium dioxide",
+      "avobenzone",
+      "homosalate",
+      "octisalate",
+      "octocrylene",
+    ],
+  },
+};
+
+// pairs of actives that should go in different steps (or different days)
+const CONFLICT_RULES = [
+  {
+    groups: ["retinoid", "aha"],
+    message:
+      "Retinoids and AHAs together can over-exfoliate. Use them on alternate nights.",
+  },
+  {
+    groups: ["retinoid", "bha"],
+    message:
+      "Retinoids and BHAs together can cause dryness and irritation. Use them on alternate nights.",
+  },
+  {
+    groups: ["retinoid", "vitaminC"],
+    message:
+      "Use vitamin C in the morning and the retinoid at night instead of layering them.",
+  },
+  {
+    groups: ["retinoid", "benzoylPeroxide"],
+    message:
+      "Benzoyl peroxide can deactivate retinoids. Apply them at different times of day.",
+  },
+  {
+    groups: ["vitaminC", "aha"],
+    message:
+      "Vitamin C and AHAs are both acidic and can sting together. Keep them in separate routines.",
+  },
+  {
+    groups: ["vitaminC", "bha"],
+    message:
+      "Vitamin C and BHAs are both acidic and can sting together. Keep them in separate routines.",
+  },
+  {
+    groups: ["vitaminC", "benzoylPeroxide"],
+    message:
+      "Benzoyl peroxide can oxidize vitamin C. Use them at different times of day.",
+  },
+  {
+    groups: ["aha", "bha"],
+    message:
+      "Layering AHAs and BHAs can irritate. Alternate them or use them on different days.",
+  },
+];
+
+// actives that make skin more sun-sensitive, so a sunscreen should be selected
+const NEEDS_SPF_GROUPS = ["retinoid", "aha", "bha"];
+
+// actives where two products doubling up is worth pointing out
+const DUPLICATE_GROUPS = [
+  "retinoid",
+  "aha",
+  "bha",
+  "vitaminC",
+  "benzoylPeroxide",
+];
+
+/* Return the list of active group keys found in one product */
+function getProductActives(product) {
+  const ingredients = (product && product.ingredients) || [];
+  const lower = ingredients.map((i) => String(i).toLowerCase());
+  return Object.keys(ACTIVE_GROUPS).filter((key) =>
+    ACTIVE_GROUPS[key].matches.some((m) => lower.includes(m))
+  );
+}
+
+/*
+  checkIngredientConflicts(products)
+  - products: the selected product objects
+  - Returns an array of { type, message, productIds } warnings.
+    type is "conflict", "duplicate" or "missing-spf".
+*/
+function checkIngredientConflicts(products) {
+  const warnings = [];
+  if (!Array.isArray(products) || products.length === 0) return warnings;
+
+  // group key -> products that contain that active
+  const byGroup = {};
+  products.forEach((p) => {
+    getProductActives(p).forEach((key) => {
+      if (!byGroup[key]) byGroup[key] = [];
+      byGroup[key].push(p);
+    });
+  });
+
+  // conflicts only count when the two actives come from different products
+  // (a single product formulated with both is the brand's call, not ours)
+  CONFLICT_RULES.forEach((rule) => {
+    const [a, b] = rule.groups;
+    const withA = byGroup[a] || [];
+    const withB = byGroup[b] || [];
+    const pairs = [];
+    withA.forEach((pa) => {
+      withB.forEach((pb) => {
+        if (pa.id !== pb.id) pairs.push(pa, pb);
+      });
+    });
+    if (pairs.length === 0) return;
+
+    const ids = [...new Set(pairs.map((p) => p.id))];
+    warnings.push({
+      type: "conflict",
+      message: `${ACTIVE_GROUPS[a].label} + ${ACTIVE_GROUPS[b].label}: ${rule.message}`,
+      productIds: ids,
+    });
+  });
+
+  DUPLICATE_GROUPS.forEach((key) => {
+    const list = byGroup[key] || [];
+    if (list.length < 2) return;
+    warnings.push({
+      type: "duplicate",
+      message: `${list.length} products contain ${ACTIVE_GROUPS[key].label}. Using one is usually enough; doubling up raises the risk of irritation.`,
+      productIds: list.map((p) => p.id),
+    });
+  });
+
+  const needsSpf = NEEDS_SPF_GROUPS.filter((key) => byGroup[key]);
+  if (needsSpf.length > 0 && !byGroup.sunscreen) {
+    const ids = [
+      ...new Set(needsSpf.flatMap((key) => byGroup[key].map((p) => p.id))),
+    ];
+    const labels = needsSpf.map((key) => ACTIVE_GROUPS[key].label).join(", ");
+    warnings.push({
+      type: "missing-spf",
+      message: `${labels} make skin more sensitive to the sun, but no sunscreen is selected. Add an SPF for the morning.`,
+      productIds: ids,
+    });
+  }
+
+  return warnings;
+}
+
+/* Turn warnings into plain text lines for the routine prompt */
+function describeWarningsForPrompt(warnings, products) {
+  return warnings
+    .map((w) => {
+      const names = w.productIds
+        .map((id) => {
+          const p = products.find((x) => x.id === id);
+          return p ? `${p.name} (id ${id})` : `id ${id}`;
+        })
+        .join(", ");
+      return `- [${w.type}] ${w.message} Products: ${names}`;
+    })
+    .join("\n");
+}
+
+/* Show the warnings under the selected product chips */
+function renderIngredientWarnings(products) {
+  const box = document.getElementById("selectedWarnings");
+  if (!box) return;
+
+  const warnings = checkIngredientConflicts(products);
+  if (warnings.length === 0) {
+    box.innerHTML = "";
+    return;
+  }
+
+  box.innerHTML = warnings
+    .map((w) => {
+      const names = w.productIds
+        .map((id) => {
+          const p = products.find((x) => x.id === id);
+          return p && p.name ? escapeHtml(p.name) : "";
+        })
+        .filter(Boolean)
+        .join(", ");
+      return `
+    <div class="ingredient-warning warning-${w.type}">
+      <i class="fa-solid fa-triangle-exclamation" aria-hidden="true"></i>
+      <div>
+        <div>${escapeHtml(w.message)}</div>
+        ${names ? `<div class="warning-products">${names}</div>` : ""}
+      </div>
+    </div>
+  `;
+    })
+    .join("");
+}
@@ -0,0 +1,297 @@
+/*
+  Markdown for assistant replies
+
+  The model likes to answer with markdown (bold step names, lists, small
+  tables). renderMarkdown(text) turns the common parts of it into HTML:
+    - headings (#, ##, ...), paragraphs and line breaks
+    - unordered (-, *, +) and ordered (1.) lists, nested by indentation
+    - **bold**, *italic*, `code`, ```code blocks``` and --- rules
+    - | tables | with a header row |
+    - [links](https://...) (http, https and mailto only)
+
+  Safety: every piece of text goes through escapeHtml() before any tag is
+  added, so the reply can never inject its own HTML. The result is then run
+  through sanitizeMarkdownHtml(), an allowlist of tags and attributes, as a
+  second line of defence.
+*/
+
+// tags (and their allowed attributes) the renderer is allowed to produce
+const MARKDOWN_ALLOWED_TAGS = {
+  A: ["href", "target", "rel"],
+  BR: [],
+  CODE: [],
+  EM: [],
+  H3: [],
+  H4: [],
+  H5: [],
+  H6: [],
+  HR: [],
+  LI: [],
+  OL: ["start"],
+  P: [],
+  PRE: [],
+  STRONG: [],
+  TABLE: [],
+  TBODY: [],
+  TD: [],
+  TH: [],
+  THEAD: [],
+  TR: [],
+  UL: [],
+};
+
+const LIST_ITEM = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+const TABLE_SEPARATOR = /^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/;
+
+/* Only let links point at web pages or email addresses */
+function safeLinkUrl(url) {
+  return /^(https?:\/\/|mailto:)/i.test(url) ? url : null;
+}
+
+/*
+  renderInlineMarkdown(text)
+  - Escapes `text` and adds inline formatting: code, links, bold, italic.
+*/
+function renderInlineMarkdown(text) {
+  // pull code spans out first so nothing inside them gets formatted
+  const codes = [];
+  let html = escapeHtml(text).replace(/`([^`]+)`/g, (m, code) => {
+    codes.push(code);
+    return `\u0000${codes.length - 1}\u0000`;
+  });
+
+  // [label](url) - citation markers like [1] have no "(url)" and stay as text
+  html = html.replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (m, label, url) => {
+    const href = safeLinkUrl(url);
+    return href
+      ? `<a href="${href}" target="_blank" rel="noopener noreferrer">${label}</a>`
+      : label;
+  });
+
+  html = html
+    .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, "<strong>$1</strong>")
+    .replace(/__(?=\S)([\s\S]*?\S)__/g, "<strong>$1</strong>")
+    .replace(/(^|[^*\w])\*(?=\S)([^*]*?\S)\*(?![*\w])/g, "$1<em>$2</em>")
+    .replace(/(^|[^_\w])_(?=\S)([^_]*?\S)_(?![_\w])/g, "$1<em>$2</em>");
+
+  return html.replace(
+    /\u0000(\d+)\u0000/g,
+    (m, i) => `<code>${codes[Number(i)]}</code>`
+  );
+}
+
+/* Split "| a | b |" into ["a", "b"] */
+function tableCells(line) {
+  return line
+    .trim()
+    .replace(/^\|/, "")
+    .replace(/\|$/, "")
+    .split("|")
+    .map((cell) => cell.trim());
+}
+
+function isBlockStart(line, nextLine) {
+  return (
+    /^\s*```/.test(line) ||
+    /^#{1,6}\s/.test(line) ||
+    /^\s*([-*_])(\s*\1){2,}\s*$/.test(line) ||
+    LIST_ITEM.test(line) ||
+    (line.includes("|") && TABLE_SEPARATOR.test(nextLine || ""))
+  );
+}
+
+/*
+  renderListBlock(lines, start)
+  - Renders the list that begins at lines[start]. Lines indented deeper than
+    the first item belong to the item above them (sub-lists, extra text).
+  - Returns { html, next } where `next` is the first line after the list.
+*/
+function renderListBlock(lines, start) {
+  const first = lines[start].match(LIST_ITEM);
+  const indent = first[1].length;
+  const ordered = /\d/.test(first[2]);
+  const items = [];
+  let i = start;
+
+  while (i < lines.length) {
+    const line = lines[i];
+    const m = line.match(LIST_ITEM);
+    if (m && m[1].length === indent && /\d/.test(m[2]) === ordered) {
+      items.push([m[3]]);
+    } else if (!line.trim()) {
+      // a blank line only continues the list if it goes on afterwards
+      const after = lines[i + 1] || "";
+      const am = after.match(LIST_ITEM);
+      const continues =
+        (am && am[1].length >= indent) ||
+        (after.trim() && after.search(/\S/) > indent);
+      if (!continues) break;
+    } else if (line.search(/\S/) > indent) {
+      items[items.length - 1].push(
+        line.slice(Math.min(indent + 2, line.search(/\S/)))
+      );
+    } else {
+      break;
+    }
+    i++;
+  }
+
+  const tag = ordered ? "ol" : "ul";
+  const startNumber = ordered ? parseInt(first[2], 10) : 1;
+  const startAttr = startNumber !== 1 ? ` start="${startNumber}"` : "";
+  const itemsHtml = items
+    .map(([text, ...rest]) => {
+      const inner = rest.some((l) => l.trim())
+        ? renderInlineMarkdown(text) + renderMarkdownBlocks(rest)
+        : renderInlineMarkdown(text);
+      return `<li>${inner}</li>`;
+    })
+    .join("");
+  return { html: `<${tag}${startAttr}>${itemsHtml}</${tag}>`, next: i };
+}
+
+/* Render an array of lines as block-level HTML */
+function renderMarkdownBlocks(lines) {
+  const out = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (!line.trim()) {
+      i++;
+      continue;
+    }
+
+    // ``` fenced code ```
+    if (/^\s*```/.test(line)) {
+      const code = [];
+      i++;
+      while (i < lines.length && !/^\s*```/.test(lines[i]))
+        code.push(lines[i++]);
+      i++; // skip the closing fence
+      out.push(`<pre><code>${escapeHtml(code.join("\n"))}</code></pre>`);
+      continue;
+    }
+
+    // # heading - shown one level below the page's own h1/h2
+    const heading = line.match(/^(#{1,6})\s+(.*)$/);
+    if (heading) {
+      const level = Math.min(heading[1].length + 2, 6);
+      out.push(
+        `<h${level}>${renderInlineMarkdown(
+          heading[2].replace(/\s#+\s*$/, "")
+        )}</h${level}>`
+      );
+      i++;
+      continue;
+    }
+
+    if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      out.push("<hr>");
+      i++;
+      continue;
+    }
+
+    if (LIST_ITEM.test(line)) {
+      const list = renderListBlock(lines, i);
+      out.push(list.html);
+      i = list.next;
+      continue;
+    }
+
+    // | table | with a --- separator under the header row
+    if (line.includes("|") && TABLE_SEPARATOR.test(lines[i + 1] || "")) {
+      const header = tableCells(line);
+      const rows = [];
+      i += 2;
+      while (i < lines.length && lines[i].includes("|") && lines[i].trim()) {
+        rows.push(tableCells(lines[i++]));
+      }
+      const head = header
+        .map((cell) => `<th>${renderInlineMarkdown(cell)}</th>`)
+        .join("");
+      const body = rows
+        .map(
+          (row) =>
+            `<tr>${header
+              .map((h, c) => `<td>${renderInlineMarkdown(row[c] || "")}</td>`)
+              .join("")}</tr>`
+        )
+        .join("");
+      out.push(
+        `<table><thead><tr>${head}</tr></thead><tbody>${body}</tbody></table>`
+      );
+      continue;
+    }
+
+    // paragraph: everything up to the next blank line or block
+    const para = [line];
+    i++;
+    while (
+      i < lines.length &&
+      lines[i].trim() &&
+      !isBlockStart(lines[i], lines[i + 1])
+    ) {
+      para.push(lines[i++]);
+    }
+    out.push(
+      `<p>${para.map((l) => renderInlineMarkdown(l.trim())).join("<br>")}</p>`
+    );
+  }
+
+  return out.join("");
+}
+
+/*
+  sanitizeMarkdownHtml(html)
+  - Removes every tag and attribute that is not in MARKDOWN_ALLOWED_TAGS
+    (keeping the text inside removed tags) and any link that is not
+    http(s)/mailto.
+*/
+function sanitizeMarkdownHtml(html) {
+  const template = document.createElement("template");
+  template.innerHTML = html;
+
+  const clean = (parent) => {
+    [...parent.childNodes].forEach((node) => {
+      if (node.nodeType === Node.TEXT_NODE) return;
+      if (node.nodeType !== Node.ELEMENT_NODE) {
+        node.remove();
+        return;
+      }
+
+      clean(node);
+      const allowed = MARKDOWN_ALLOWED_TAGS[node.tagName];
+      if (!allowed) {
+        node.replaceWith(...node.childNodes);
+        return;
+      }
+      [...node.attributes].forEach((attr) => {
+        if (!allowed.includes(attr.name)) node.removeAttribute(attr.name);
+      });
+      if (node.tagName === "A") {
+        if (!safeLinkUrl(node.getAttribute("href") || "")) {
+          node.replaceWith(...node.childNodes);
+          return;
+        }
+        node.setAttribute("target", "_blank");
+        node.setAttribute("rel", "noopener noreferrer");
+      }
+    });
+  };
+
+  clean(template.content);
+  return template.innerHTML;
+}
+
+/*
+  renderMarkdown(text)
+  - Returns safe HTML for an assistant reply.
+*/
+function renderMarkdown(text) {
+  const lines = String(text || "")
+    .replace(/\r\n?/g, "\n")
+    .split("\n");
+  return sanitizeMarkdownHtml(renderMarkdownBlocks(lines));
+}
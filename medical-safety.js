@@ -0,0 +1,80 @@
+/*
+  Medical safety layer
+
+  Questions about rashes, acne medication, pregnancy or eczema need more
+  care than "which order should I apply these?". The rules (which topics a
+  question mentions and which products to leave out) are in
+  safety-rules.js; this file puts them to use on the page:
+    - routineSafetyTopics(profile): topics that apply because of the profile
+    - withSafetyNote(messages, notice): adds the rules to what is sent to
+      the AI with a follow-up question
+    - appendSafetyCardToChat(notice): the disclaimer card under a reply,
+      suggesting a dermatologist
+*/
+
+const FIND_DERMATOLOGIST_URL = "https://find-a-derm.aad.org/";
+
+/* Topics that apply to a routine because of the customer's profile */
+function routineSafetyTopics(profile) {
+  return profile ? detectSafetyTopics(describeProfileForPrompt(profile)) : [];
+}
+
+/*
+  withSafetyNote(messages, notice)
+  - Like withDiarySummary (routine-diary.js): the safety rules go in as a
+    system message just before the new question and are not stored.
+*/
+function withSafetyNote(messages, notice) {
+  if (!notice) return messages;
+  const rules = describeSafetyForPrompt(notice);
+  const copy = messages.slice();
+  copy.splice(copy.length - 1, 0, {
+    role: "system",
+    content: `Safety rules for this question:\n${rules}`,
+  });
+  return copy;
+}
+
+/* HTML for the disclaimer card shown under a reply */
+function safetyCardHtml(notice) {
+  const advice = notice.topics
+    .map(
+      (t) =>
+        `<li><strong>${escapeHtml(t.label)}:</strong> ${escapeHtml(
+          t.advice
+        )}</li>`
+    )
+    .join("");
+  const flagged = notice.flagged
+    .map((f) => `${f.product.name} (${f.actives.join(", ")})`)
+    .join(", ");
+  const flaggedHtml = flagged
+    ? `<div class="safety-products">Leave these out for now: ${escapeHtml(
+        flagged
+      )}</div>`
+    : "";
+  return `
+    <div class="safety-title">
+      <i class="fa-solid fa-user-doctor" aria-hidden="true"></i>
+      This is general beauty advice, not medical advice
+    </div>
+    <ul class="safety-advice">${advice}</ul>
+    ${flaggedHtml}
+    <div class="safety-derm">
+      Please talk to a dermatologist or your doctor before changing your routine.
+      <a href="${FIND_DERMATOLOGIST_URL}" target="_blank" rel="noopener noreferrer">Find a dermatologist</a>
+    </div>
+  `;
+}
+
+/* Add the disclaimer card to the chat (does nothing without a notice) */
+function appendSafetyCardToChat(notice) {
+  if (!chatWindow || !notice) return null;
+  const card = document.createElement("div");
+  card.className = "safety-card";
+  card.setAttribute("role", "note");
+  card.innerHTML = safetyCardHtml(notice);
+  chatWindow.appendChild(card);
+  chatWindow.scrollTop = chatWindow.scrollHeight;
+  return card;
+}
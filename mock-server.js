@@ -0,0 +1,517 @@
+/*
+  Local mock backend
+
+  Runs the whole app offline, without an OpenAI key:
+
+    node mock-server.js            (then open http://localhost:8787)
+
+  What it does:
+    - Serves index.html, script.js, products.json, ... from this folder.
+    - Runs the real search-proxy-worker.js for every API request (/v1/routine,
+      /v1/chat, /v1/search and the legacy POST routes) so the UI talks to the
+      same routes and response shapes as production.
+    - Replaces the worker's calls to api.openai.com with deterministic canned
+      replies built from products.json:
+        * web searches (the web_search tool) return brand pages for the
+          matching products as url_citation annotations
+        * routine requests return a valid routine JSON (routine-cards.js schema)
+        * follow-up questions return a short templated answer
+        * /v1/summarize returns the customer's questions as bullet points
+        * token usage is estimated from the text length, so /admin/metrics
+          shows plausible numbers
+      Streaming requests (`stream: true`) get the same text as server-sent
+      events, one word at a time.
+    - If there is no secrets.js, it serves one that points window.CF_WORKER_URL
+      at this server. To use the mock from another page or port, set
+      window.CF_WORKER_URL = "http://localhost:8787" in secrets.js yourself.
+
+  Options (environment variables):
+    PORT            port to listen on (default 8787)
+    MOCK_DELAY_MS   delay between streamed words (default 25)
+    SEARCH_PROVIDER worker search provider: "openai" (mocked, default) or
+                    "fixture" (the worker's built-in results)
+    MODERATION_PROVIDER
+                    worker moderation: "stub" (default, a local word list),
+                    "off" or "openai" (not mocked, so it fails open)
+    ALLOWED_ORIGINS, RATE_LIMIT_IP_PER_MINUTE, RATE_LIMIT_SESSION_PER_MINUTE,
+    MAX_BODY_BYTES, MAX_MESSAGES, MAX_MESSAGE_CHARS, SEARCH_CACHE_TTL,
+    ROUTINE_CACHE_TTL, ADMIN_SECRET, DEBUG_UPSTREAM
+                    passed to the worker (see search-proxy-worker.js); the
+                    worker's JSON log lines are printed to the console
+
+  Uses only Node's built-in modules (Node 18+ for fetch/Request/Response).
+  The tests in test/ require() this file and start the server themselves
+  with startMockServer().
+*/
+
+const http = require("http");
+const fs = require("fs");
+const path = require("path");
+
+const ROOT = __dirname;
+const PORT = Number(process.env.PORT) || 8787;
+const MOCK_DELAY_MS = Number(process.env.MOCK_DELAY_MS || 25);
+
+const CONTENT_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".webmanifest": "application/manifest+json; charset=utf-8",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".svg": "image/svg+xml",
+  ".ico": "image/x-icon",
+};
+
+const products = JSON.parse(
+  fs.readFileSync(path.join(ROOT, "products.json"), "utf8")
+).products;
+
+// brand websites used for the canned search results
+const BRAND_SITES = {
+  CeraVe: "https://www.cerave.com",
+  "La Roche-Posay": "https://www.laroche-posay.us",
+  Vichy: "https://www.vichyusa.com",
+  "L'Oréal Paris": "https://www.lorealparisusa.com",
+  Maybelline: "https://www.maybelline.com",
+  Lancôme: "https://www.lancome-usa.com",
+  Garnier: "https://www.garnierusa.com",
+  "Kiehl's": "https://www.kiehls.com",
+  Kérastase: "https://www.kerastase-usa.com",
+  SkinCeuticals: "https://www.skinceuticals.com",
+  "Urban Decay": "https://www.urbandecay.com",
+  "Yves Saint Laurent": "https://www.yslbeautyus.com",
+  Redken: "https://www.redken.com",
+};
+
+/* ---------- canned OpenAI replies ---------- */
+
+function slugify(text) {
+  return text
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "");
+}
+
+/* Products whose name or brand share words with the query, best match first */
+function matchProducts(query) {
+  const words = slugify(query)
+    .split("-")
+    .filter((w) => w.length > 3);
+  return products
+    .map((p) => {
+      const haystack = slugify(`${p.brand} ${p.name}`);
+      return { p, hits: words.filter((w) => haystack.includes(w)).length };
+    })
+    .filter((m) => m.hits > 0)
+    .sort((a, b) => b.hits - a.hits)
+    .map((m) => m.p);
+}
+
+function mockSearchResults(query, max) {
+  const matches = matchProducts(query);
+  const list = matches.length > 0 ? matches : products.slice(0, 3);
+  return list.slice(0, max).map((p) => ({
+    title: `${p.brand} ${p.name}`,
+    snippet: p.description.slice(0, 160),
+    url: `${BRAND_SITES[p.brand] || "https://www.loreal.com"}/${slugify(
+      p.name
+    )}`,
+  }));
+}
+
+/*
+  A Responses API reply as if the web_search tool ran: one sentence per
+  result, each with a `url_citation` annotation pointing at its page.
+*/
+function mockWebSearchResponse(body) {
+  const input = String(body.input || "");
+  const query = (input.match(/about:\s*(.*)/) || [])[1] || input;
+  const max = Number((input.match(/up to (\d+)/) || [])[1]) || 6;
+
+  let text = "";
+  const annotations = [];
+  mockSearchResults(query, max).forEach((r) => {
+    const sentence = `${r.snippet.split(". ")[0].replace(/\.?$/, ".")} `;
+    annotations.push({
+      type: "url_citation",
+      start_index: text.length + sentence.length - 1,
+      end_index: text.length + sentence.length - 1,
+      url: `${r.url}?utm_source=openai`,
+      title: r.title,
+    });
+    text += sentence;
+  });
+
+  return {
+    id: "resp_mock",
+    model: body.model,
+    usage: mockUsage(input, text),
+    output: [
+      { type: "web_search_call", id: "ws_mock", status: "completed" },
+      {
+        type: "message",
+        role: "assistant",
+        content: [{ type: "output_text", text: text.trim(), annotations }],
+      },
+    ],
+  };
+}
+
+/* Token usage like OpenAI reports it, estimated at ~4 characters a token */
+function mockUsage(inputText, outputText) {
+  const input_tokens = Math.ceil(inputText.length / 4);
+  const output_tokens = Math.ceil(outputText.length / 4);
+  return {
+    input_tokens,
+    output_tokens,
+    total_tokens: input_tokens + output_tokens,
+  };
+}
+
+function has(p, ingredient) {
+  return (p.ingredients || []).includes(ingredient);
+}
+
+// where a product goes in a routine: 1 = cleanser ... 8 = fragrance
+function stepOrder(p) {
+  if (p.category === "cleanser") return 1;
+  if (has(p, "avobenzone") || has(p, "zinc oxide")) return 6;
+  if (p.category === "moisturizer") return 5;
+  if (/eye/i.test(p.name)) return 4;
+  if (p.category === "skincare") return 3;
+  if (p.category === "makeup") return 7;
+  if (p.category === "fragrance") return 8;
+  return 9;
+}
+
+/* Build a valid routine (routine-cards.js schema) from the selected products */
+function mockRoutine(selected) {
+  const routine = {
+    title: "Your Mock Routine",
+    summary:
+      "A deterministic routine from the local mock server. Products are ordered thinnest to thickest, with SPF last in the morning.",
+    am: [],
+    pm: [],
+    weekly: [],
+  };
+
+  const sorted = selected.slice().sort((a, b) => stepOrder(a) - stepOrder(b));
+  sorted.forEach((p) => {
+    const step = {
+      productId: p.id,
+      action: `Apply ${p.name}.`,
+      waitMinutes: p.category === "skincare" ? 1 : 0,
+      rationale: p.description.split(". ")[0] + ".",
+    };
+    const isSpf = has(p, "avobenzone") || has(p, "zinc oxide");
+    const isRetinoid = has(p, "retinol") || has(p, "retinyl palmitate");
+    const isExfoliant = has(p, "salicylic acid") || has(p, "glycolic acid");
+
+    if (["haircare", "hair color", "hair styling"].includes(p.category)) {
+      routine.weekly.push({ ...step, frequency: "2-3x per week" });
+    } else if (isExfoliant && p.category !== "cleanser") {
+      routine.weekly.push({ ...step, frequency: "2x per week" });
+    } else if (isSpf || has(p, "vitamin c") || /\bAM\b/.test(p.name)) {
+      routine.am.push(step);
+    } else if (isRetinoid || /\bPM\b/.test(p.name)) {
+      routine.pm.push(step);
+    } else if (["makeup", "fragrance"].includes(p.category)) {
+      routine.am.push(step);
+    } else {
+      routine.am.push(step);
+      routine.pm.push(step);
+    }
+  });
+
+  ["am", "pm", "weekly"].forEach((key) =>
+    routine[key].forEach((s, i) => (s.step = i + 1))
+  );
+  return routine;
+}
+
+/* Pull the selected products out of the routine prompt ("Products:\n[...]") */
+function productsFromPrompt(input) {
+  const ids = [...input.matchAll(/"id":\s*(\d+)/g)].map((m) => Number(m[1]));
+  return products.filter((p) => ids.includes(p.id));
+}
+
+/*
+  The request as one text: the worker's `instructions` and `input` list
+  become "SYSTEM: ...", "USER: ..." and "ASSISTANT: ..." paragraphs.
+*/
+function inputText(body) {
+  const items = Array.isArray(body.input)
+    ? body.input
+    : [{ role: "user", content: String(body.input || "") }];
+  const parts = body.instructions ? [`SYSTEM: ${body.instructions}`] : [];
+  items.forEach((m) => parts.push(`${m.role.toUpperCase()}: ${m.content}`));
+  return parts.join("\n\n");
+}
+
+/* The text the fake model "writes" for a Responses API input */
+function mockReplyText(input) {
+  const userTurns = input.split("\n\nUSER: ");
+  const question = userTurns[userTurns.length - 1].split("\n\nASSISTANT:")[0];
+
+  // /v1/summarize: list the customer's questions
+  if (input.includes("You keep the memory of a chat")) {
+    const asked = [...input.matchAll(/Customer: ([^\n]+)/g)].map((m) =>
+      m[1].slice(0, 80)
+    );
+    const previous = input.match(
+      /Summary so far:\n([\s\S]*?)\n\nNew messages:/
+    );
+    return [
+      previous && previous[1] !== "(none)" ? previous[1] : "",
+      ...asked.map((q) => `- (Mock summary) Customer asked: ${q}`),
+    ]
+      .filter(Boolean)
+      .join("\n");
+  }
+
+  // only the latest user turn decides; follow-ups still carry the routine prompt
+  if (question.includes("Reply with ONLY a JSON object")) {
+    return JSON.stringify(mockRoutine(productsFromPrompt(question)), null, 2);
+  }
+
+  // follow-up: echo the last user question and the products in the chat
+  const mentioned = productsFromPrompt(input).map((p) => p.name);
+  // cite the first web sources the worker quoted as <source id="1">, if any
+  const sourceIds = [1, 2].filter((n) => input.includes(`<source id="${n}">`));
+  const cite = sourceIds.length > 0 ? ` [${sourceIds.join(", ")}]` : "";
+  return [
+    `(Mock advisor) You asked: "${question.trim().slice(0, 200)}"`,
+    mentioned.length > 0
+      ? `Your routine uses: ${mentioned.join(", ")}.`
+      : "Generate a routine first to get product-specific advice.",
+    `Apply products from thinnest to thickest texture and finish with SPF in the morning${cite}.`,
+  ].join("\n\n");
+}
+
+/* Fake https://api.openai.com/v1/responses (JSON or streamed) */
+function mockResponsesApi(body) {
+  const tools = Array.isArray(body.tools) ? body.tools : [];
+  if (tools.some((t) => String(t.type).startsWith("web_search"))) {
+    return new Response(JSON.stringify(mockWebSearchResponse(body)), {
+      headers: { "Content-Type": "application/json" },
+    });
+  }
+
+  const prompt = inputText(body);
+  const text = mockReplyText(prompt);
+  const usage = mockUsage(prompt, text);
+
+  if (!body.stream) {
+    return new Response(
+      JSON.stringify({
+        id: "resp_mock",
+        model: body.model,
+        output_text: text,
+        usage,
+      }),
+      { headers: { "Content-Type": "application/json" } }
+    );
+  }
+
+  const encoder = new TextEncoder();
+  const words = text.split(/(?<=\s)/);
+  const stream = new ReadableStream({
+    async start(controller) {
+      for (const word of words) {
+        const evt = { type: "response.output_text.delta", delta: word };
+        controller.enqueue(
+          encoder.encode(`event: ${evt.type}\ndata: ${JSON.stringify(evt)}\n\n`)
+        );
+        if (MOCK_DELAY_MS > 0)
+          await new Promise((r) => setTimeout(r, MOCK_DELAY_MS));
+      }
+      const done = {
+        type: "response.completed",
+        response: { id: "resp_mock", model: body.model, usage },
+      };
+      controller.enqueue(
+        encoder.encode(`event: ${done.type}\ndata: ${JSON.stringify(done)}\n\n`)
+      );
+      controller.close();
+    },
+  });
+  return new Response(stream, {
+    headers: { "Content-Type": "text/event-stream" },
+  });
+}
+
+// route the worker's outgoing fetch calls to the canned replies above
+const realFetch = globalThis.fetch;
+globalThis.fetch = async (input, init = {}) => {
+  const url = typeof input === "string" ? input : input.url;
+  if (url.startsWith("https://api.openai.com/v1/responses")) {
+    return mockResponsesApi(JSON.parse(init.body || "{}"));
+  }
+  if (url.startsWith("https://api.openai.com/")) {
+    return new Response(
+      JSON.stringify({ error: { message: `Mock server has no ${url}` } }),
+      { status: 404, headers: { "Content-Type": "application/json" } }
+    );
+  }
+  return realFetch(input, init);
+};
+
+/* ---------- worker + static files ---------- */
+
+// search-proxy-worker.js is an ES module (export default); load it from a
+// data: URL so this file can stay a plain Node script
+async function loadWorker() {
+  const source = fs.readFileSync(
+    path.join(ROOT, "search-proxy-worker.js"),
+    "utf8"
+  );
+  const url =
+    "data:text/javascript;base64," + Buffer.from(source).toString("base64");
+  return (await import(url)).default;
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on("data", (c) => chunks.push(c));
+    req.on("end", () => resolve(Buffer.concat(chunks)));
+    req.on("error", reject);
+  });
+}
+
+async function sendWorkerResponse(res, response) {
+  const headers = {};
+  response.headers.forEach((value, key) => (headers[key] = value));
+  res.writeHead(response.status, headers);
+  if (!response.body) {
+    res.end();
+    return;
+  }
+  const reader = response.body.getReader();
+  // stop reading when the browser disconnects (Stop button)
+  res.on("close", () => reader.cancel().catch(() => {}));
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    res.write(value);
+  }
+  res.end();
+}
+
+function serveStatic(req, res) {
+  const urlPath = decodeURIComponent(new URL(req.url, "http://x").pathname);
+  const filePath = path.join(ROOT, urlPath === "/" ? "index.html" : urlPath);
+
+  // never serve files outside this folder, or dotfiles such as .git/ and
+  // .devcontainer/ (a plain prefix check would let ../tree2/ through)
+  const relative = path.relative(ROOT, filePath);
+  const outside = relative.startsWith("..") || path.isAbsolute(relative);
+  if (outside || relative.split(path.sep).some((p) => p.startsWith("."))) {
+    res.writeHead(403);
+    res.end("Forbidden");
+    return;
+  }
+
+  fs.readFile(filePath, (err, data) => {
+    if (err) {
+      if (urlPath === "/secrets.js") {
+        // no real secrets.js: point the app at this mock server
+        res.writeHead(200, { "Content-Type": CONTENT_TYPES[".js"] });
+        res.end(
+          "// served by mock-server.js\nwindow.CF_WORKER_URL = location.origin;\n"
+        );
+        return;
+      }
+      res.writeHead(404, { "Content-Type": "text/plain" });
+      res.end("Not found");
+      return;
+    }
+    res.writeHead(200, {
+      "Content-Type":
+        CONTENT_TYPES[path.extname(filePath)] || "application/octet-stream",
+    });
+    res.end(data);
+  });
+}
+
+/* The worker's env: the mock key and providers plus the options above */
+function workerEnv(options) {
+  const env = {
+    OPENAI_API_KEY: "mock-key",
+    SEARCH_PROVIDER: options.SEARCH_PROVIDER || "openai",
+    MODERATION_PROVIDER: options.MODERATION_PROVIDER || "stub",
+  };
+  // access control, rate limit, cache and admin settings pass straight through
+  [
+    "ALLOWED_ORIGINS",
+    "RATE_LIMIT_IP_PER_MINUTE",
+    "RATE_LIMIT_SESSION_PER_MINUTE",
+    "MAX_BODY_BYTES",
+    "MAX_MESSAGES",
+    "MAX_MESSAGE_CHARS",
+    "SEARCH_CACHE_TTL",
+    "ROUTINE_CACHE_TTL",
+    "ADMIN_SECRET",
+    "DEBUG_UPSTREAM",
+  ].forEach((name) => {
+    if (options[name] !== undefined) env[name] = options[name];
+  });
+  return env;
+}
+
+/*
+  startMockServer(port, options)
+  - Starts the server (port 0 picks a free one) with `options` read like
+    the environment variables above. Resolves with the http.Server once it
+    is listening.
+*/
+async function startMockServer(port, options = {}) {
+  const worker = await loadWorker();
+  const env = workerEnv(options);
+
+  const server = http.createServer(async (req, res) => {
+    try {
+      const isApi = /^\/(v1|admin)\//.test(req.url);
+      if (!isApi && (req.method === "GET" || req.method === "HEAD")) {
+        serveStatic(req, res);
+        return;
+      }
+
+      const body = await readBody(req);
+      const host = req.headers.host || "localhost";
+      const request = new Request(`http://${host}${req.url}`, {
+        method: req.method,
+        // Cloudflare tells the worker the client's IP in this header
+        headers: {
+          ...req.headers,
+          "cf-connecting-ip": req.socket.remoteAddress,
+        },
+        body: body.length > 0 ? body : undefined,
+      });
+      const response = await worker.fetch(request, env);
+      await sendWorkerResponse(res, response);
+    } catch (err) {
+      console.error(err);
+      if (!res.headersSent)
+        res.writeHead(500, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ error: err.message || String(err) }));
+    }
+  });
+
+  await new Promise((resolve) => server.listen(port, resolve));
+  return server;
+}
+
+async function main() {
+  await startMockServer(PORT, process.env);
+  console.log(`Mock backend running at http://localhost:${PORT}`);
+}
+
+// `node mock-server.js` starts the server; tests only load the functions
+if (require.main === module) main();
+
+module.exports = { startMockServer, loadWorker };
@@ -0,0 +1,240 @@
+/*
+  Network helpers: timeouts, retries and offline handling
+
+  fetchWithRetry() wraps fetch() for every call the app makes (worker
+  routes, the OpenAI fallback and products.json):
+    - a timeout (AbortController) until the response starts, so a request
+      that hangs doesn't leave the chat waiting forever
+    - retries with exponential backoff for network errors, 429 and 5xx
+      (honouring a Retry-After header)
+    - the caller's signal (Stop button) still cancels everything, also
+      while waiting between retries
+
+  friendlyErrorMessage() turns an error into something a customer can read,
+  showRequestError() puts it in a chat bubble with a Retry button, and the
+  offline banner queues follow-up questions until the connection is back.
+  The timeout can be changed with window.REQUEST_TIMEOUT_MS (in secrets.js).
+
+  debugLog() is the app's only console output, for troubleshooting. It is
+  off unless window.DEBUG_LOGS is true (set it in secrets.js or in the
+  browser console).
+*/
+
+const REQUEST_TIMEOUT_MS = Number(window.REQUEST_TIMEOUT_MS) || 30000;
+const REQUEST_RETRIES = 2; // retries after the first attempt
+const RETRY_BASE_DELAY_MS = 800; // 0.8s, 1.6s, 3.2s… plus a little jitter
+const RETRY_MAX_DELAY_MS = 10000;
+
+/* console.warn() that only writes while window.DEBUG_LOGS is true */
+function debugLog(...args) {
+  if (window.DEBUG_LOGS === true) console.warn(...args);
+}
+
+function isRetryableStatus(status) {
+  return status === 429 || (status >= 500 && status <= 599);
+}
+
+function abortError() {
+  return new DOMException("The request was stopped", "AbortError");
+}
+
+function timeoutError() {
+  const err = new Error("The request timed out");
+  err.name = "TimeoutError";
+  err.code = "timeout";
+  return err;
+}
+
+/* Wait `ms`, or reject straight away if `signal` aborts */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) return reject(abortError());
+    const timer = setTimeout(resolve, ms);
+    if (signal) {
+      signal.addEventListener(
+        "abort",
+        () => {
+          clearTimeout(timer);
+          reject(abortError());
+        },
+        { once: true }
+      );
+    }
+  });
+}
+
+/* Delay before retry number `attempt` (0 = first retry) */
+function retryDelay(attempt, resp) {
+  const retryAfter = resp && Number(resp.headers.get("retry-after"));
+  if (retryAfter > 0) return Math.min(retryAfter * 1000, RETRY_MAX_DELAY_MS);
+  const backoff = RETRY_BASE_DELAY_MS * 2 ** attempt;
+  return Math.min(backoff + Math.random() * 250, RETRY_MAX_DELAY_MS);
+}
+
+/*
+  fetchOnce(url, init, timeoutMs)
+  - One fetch() that is aborted after `timeoutMs` if no response arrived.
+    The timer stops once the response starts, so a long streamed reply is
+    not cut off. init.signal (Stop button) is passed through.
+*/
+async function fetchOnce(url, init, timeoutMs) {
+  const controller = new AbortController();
+  const outer = init.signal;
+  const onAbort = () => controller.abort();
+  if (outer) {
+    if (outer.aborted) throw abortError();
+    outer.addEventListener("abort", onAbort, { once: true });
+  }
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeoutMs);
+
+  try {
+    return await fetch(url, { ...init, signal: controller.signal });
+  } catch (err) {
+    if (timedOut) throw timeoutError();
+    throw err;
+  } finally {
+    // the Stop listener stays: it also stops a reply that is still streaming
+    clearTimeout(timer);
+  }
+}
+
+/*
+  fetchWithRetry(url, init, options)
+  - options.timeoutMs: per attempt (default REQUEST_TIMEOUT_MS).
+  - options.retries: how many times to retry (default REQUEST_RETRIES).
+  - Returns the Response. A 429/5xx response is returned as-is once the
+    retries are used up, so callers still read the worker's error envelope.
+  - Throws AbortError when stopped, TimeoutError or the network error of
+    the last attempt otherwise.
+*/
+async function fetchWithRetry(url, init = {}, options = {}) {
+  const timeoutMs = options.timeoutMs || REQUEST_TIMEOUT_MS;
+  const retries =
+    typeof options.retries === "number" ? options.retries : REQUEST_RETRIES;
+
+  for (let attempt = 0; ; attempt++) {
+    let resp = null;
+    try {
+      resp = await fetchOnce(url, init, timeoutMs);
+      if (!isRetryableStatus(resp.status) || attempt >= retries) return resp;
+    } catch (err) {
+      // the Stop button ends everything; other errors are retried
+      if (err.name === "AbortError" || attempt >= retries) throw err;
+    }
+    const delay = retryDelay(attempt, resp);
+    const reason = resp ? resp.status : "network error";
+    debugLog(`${url} failed (${reason}), retrying in ${delay | 0}ms`);
+    await sleep(delay, init.signal);
+  }
+}
+
+/*
+  friendlyErrorMessage(err)
+  - What to tell the customer when a request fails. The technical details
+    go to the console instead of the chat.
+*/
+function friendlyErrorMessage(err) {
+  const status = (err && err.status) || 0;
+  const code = (err && err.code) || "";
+  if (isOffline()) {
+    return "You're offline. Check your connection and try again.";
+  }
+  if (code === "timeout") {
+    return "The advisor is taking too long to answer. Please try again.";
+  }
+  if (status === 429 || code === "rate_limited") {
+    const wait = err.retryAfter
+      ? `about ${err.retryAfter} second${err.retryAfter === 1 ? "" : "s"}`
+      : "a moment";
+    return `You're sending questions faster than the advisor can answer. Please wait ${wait} and try again.`;
+  }
+  if (status === 413 || code === "payload_too_large") {
+    return "This conversation is too long to send. Start a new thread to keep asking questions.";
+  }
+  if (status === 403 || code === "forbidden_origin") {
+    return "This page isn't allowed to use the advisor service.";
+  }
+  if (status >= 500 || code === "upstream_error") {
+    return "The advisor service is having trouble right now. Please try again in a moment.";
+  }
+  if (err instanceof TypeError) {
+    return "Couldn't reach the advisor service. Check your connection and try again.";
+  }
+  if (code === "no_api_key") return err.message;
+  return "Something went wrong. Please try again.";
+}
+
+/*
+  showRequestError(bubble, err, retry)
+  - Shows a friendly error in a chat bubble with a Retry button that calls
+    retry(). The button is removed once it is clicked.
+*/
+function showRequestError(bubble, err, retry) {
+  debugLog("Request failed:", err);
+  setMessageText(bubble, friendlyErrorMessage(err));
+  bubble.classList.add("error-msg");
+  const btn = document.createElement("button");
+  btn.type = "button";
+  btn.className = "retry-btn";
+  btn.innerHTML = `<i class="fa-solid fa-rotate-right"></i> Retry`;
+  btn.addEventListener("click", () => {
+    btn.remove();
+    bubble.classList.remove("error-msg");
+    retry();
+  });
+  bubble.appendChild(btn);
+}
+
+/* ---------- offline banner and queue ---------- */
+
+// tasks waiting for the connection to come back, run in order
+const offlineQueue = [];
+
+function isOffline() {
+  return navigator.onLine === false;
+}
+
+/* Run `task` (an async function) as soon as the browser is online again */
+function queueWhileOffline(task) {
+  offlineQueue.push(task);
+  renderOfflineBanner();
+}
+
+async function flushOfflineQueue() {
+  while (offlineQueue.length > 0 && !isOffline()) {
+    const task = offlineQueue.shift();
+    renderOfflineBanner();
+    try {
+      await task();
+    } catch (err) {
+      debugLog("Queued request failed:", err);
+    }
+  }
+}
+
+function renderOfflineBanner() {
+  const banner = document.getElementById("offlineBanner");
+  if (!banner) return;
+  const waiting = offlineQueue.length;
+  banner.hidden = !isOffline();
+  banner.innerHTML = `<i class="fa-solid fa-wifi"></i> You're offline. ${
+    waiting > 0
+      ? `${waiting} message${waiting === 1 ? "" : "s"} will be sent`
+      : "Messages you send will be sent"
+  } when the connection is back.`;
+}
+
+function initNetworkStatus() {
+  window.addEventListener("offline", renderOfflineBanner);
+  window.addEventListener("online", () => {
+    renderOfflineBanner();
+    flushOfflineQueue();
+  });
+  renderOfflineBanner();
+}
+
+initNetworkStatus();
@@ -0,0 +1,256 @@
+/*
+  Product filters
+
+  The category and brand menus are built from the loaded catalog, so a new
+  category in products.json (like "skincare") shows up without touching
+  index.html. Both menus allow several choices at once and show how many
+  products each option would match. The skin concern dropdown narrows the
+  list further, and every active filter is shown as a removable chip.
+
+  Filters combine like this: (any selected category) AND (any selected
+  brand) AND (the selected concern). An empty choice means "all".
+*/
+
+// nicer names for the categories we know about; others are title-cased
+const CATEGORY_LABELS = {
+  cleanser: "Cleansers",
+  moisturizer: "Moisturizers & Treatments",
+  skincare: "Skincare",
+  haircare: "Haircare",
+  makeup: "Makeup",
+  "hair color": "Hair Color",
+  "hair styling": "Hair Styling",
+  "men's grooming": "Men's Grooming",
+  suncare: "Suncare",
+  fragrance: "Fragrance",
+};
+
+const productFilters = { categories: [], brands: [], concern: "" };
+
+const categoryOptions = document.getElementById("categoryOptions");
+const brandOptions = document.getElementById("brandOptions");
+const concernFilter = document.getElementById("concernFilter");
+const activeFiltersBox = document.getElementById("activeFilters");
+
+function categoryLabel(category) {
+  if (CATEGORY_LABELS[category]) return CATEGORY_LABELS[category];
+  return category.replace(/\b\w/g, (c) => c.toUpperCase());
+}
+
+function concernLabel(concern) {
+  const opt = SKIN_CONCERNS.find((c) => c.value === concern);
+  return opt ? opt.label : concern;
+}
+
+/* Skin concerns a product helps with, based on its name and description */
+function productConcerns(product) {
+  const text = `${product.name} ${product.description}`.toLowerCase();
+  return Object.keys(CONCERN_KEYWORDS).filter((c) =>
+    textHasAny(text, CONCERN_KEYWORDS[c])
+  );
+}
+
+/*
+  matchesProductFilters(p, skip)
+  - skip: "categories" or "brands" to leave that filter out, used to count
+    what each option of that menu would match
+*/
+function matchesProductFilters(p, skip) {
+  const { categories, brands, concern } = productFilters;
+  if (skip !== "categories" && categories.length > 0) {
+    if (!categories.includes(p.category)) return false;
+  }
+  if (skip !== "brands" && brands.length > 0) {
+    if (!brands.includes(p.brand)) return false;
+  }
+  if (concern && !productConcerns(p).includes(concern)) return false;
+  return true;
+}
+
+/* Keep only the products that pass every active filter */
+function applyProductFilters(products) {
+  return products.filter((p) => matchesProductFilters(p));
+}
+
+/* Checkbox list for one menu: [{ value, label }] */
+function filterOptionsHtml(name, options) {
+  return options
+    .map(
+      (o) => `
+    <label class="filter-option">
+      <input type="checkbox" name="${name}" value="${escapeHtml(o.value)}" />
+      <span>${escapeHtml(o.label)}</span>
+      <span class="filter-count"></span>
+    </label>
+  `
+    )
+    .join("");
+}
+
+/*
+  updateFilterMenus(products)
+  - Refreshes the counts, the checked boxes and the "(2)" badges on the
+    menu buttons. Options that would match nothing are disabled unless
+    they are already checked.
+*/
+function updateFilterMenus(products) {
+  const menus = [
+    { box: categoryOptions, key: "categories", field: "category" },
+    { box: brandOptions, key: "brands", field: "brand" },
+  ];
+
+  menus.forEach(({ box, key, field }) => {
+    if (!box) return;
+    const counts = {};
+    products.forEach((p) => {
+      if (!matchesProductFilters(p, key)) return;
+      const value = p[field];
+      counts[value] = (counts[value] || 0) + 1;
+    });
+
+    box.querySelectorAll("input[type=checkbox]").forEach((input) => {
+      const count = counts[input.value] || 0;
+      input.checked = productFilters[key].includes(input.value);
+      input.disabled = count === 0 && !input.checked;
+      const countEl = input
+        .closest(".filter-option")
+        .querySelector(".filter-count");
+      countEl.textContent = String(count);
+    });
+
+    const badge = box.closest(".filter-menu").querySelector(".filter-badge");
+    if (badge) {
+      const n = productFilters[key].length;
+      badge.textContent = n > 0 ? `(${n})` : "";
+    }
+  });
+
+  if (concernFilter) concernFilter.value = productFilters.concern;
+}
+
+/* Show each active filter as a chip with a remove button */
+function renderActiveFilterChips() {
+  if (!activeFiltersBox) return;
+  const chips = [
+    ...productFilters.categories.map((value) => ({
+      key: "categories",
+      value,
+      text: categoryLabel(value),
+    })),
+    ...productFilters.brands.map((value) => ({
+      key: "brands",
+      value,
+      text: value,
+    })),
+  ];
+  if (productFilters.concern) {
+    chips.push({
+      key: "concern",
+      value: productFilters.concern,
+      text: concernLabel(productFilters.concern),
+    });
+  }
+
+  if (chips.length === 0) {
+    activeFiltersBox.innerHTML = "";
+    return;
+  }
+
+  activeFiltersBox.innerHTML =
+    chips
+      .map((c) => {
+        const text = escapeHtml(c.text);
+        const value = escapeHtml(c.value);
+        return `
+    <span class="filter-chip">
+      ${text}
+      <button type="button" class="remove-filter" data-key="${c.key}" data-value="${value}" aria-label="Remove filter ${text}">&times;</button>
+    </span>
+  `;
+      })
+      .join("") +
+    (chips.length > 1
+      ? `<button type="button" class="clear-filters">Clear all</button>`
+      : "");
+}
+
+/* Drop every filter (used by "Clear all" and when jumping to a selected product) */
+function clearProductFilters() {
+  productFilters.categories = [];
+  productFilters.brands = [];
+  productFilters.concern = "";
+}
+
+/*
+  initProductFilters()
+  - Builds the menus from allProducts and wires up the events. Call once
+    the products are loaded.
+*/
+function initProductFilters() {
+  if (categoryOptions) {
+    const categories = [...new Set(allProducts.map((p) => p.category))]
+      .map((value) => ({ value, label: categoryLabel(value) }))
+      .sort((a, b) => a.label.localeCompare(b.label));
+    categoryOptions.innerHTML = filterOptionsHtml("category", categories);
+  }
+
+  if (brandOptions) {
+    const brands = [...new Set(allProducts.map((p) => p.brand))]
+      .sort((a, b) => foldText(a).localeCompare(foldText(b)))
+      .map((value) => ({ value, label: value }));
+    brandOptions.innerHTML = filterOptionsHtml("brand", brands);
+  }
+
+  if (concernFilter) {
+    concernFilter.innerHTML =
+      `<option value="">Any Concern</option>` +
+      SKIN_CONCERNS.map(
+        (c) => `<option value="${c.value}">${escapeHtml(c.label)}</option>`
+      ).join("");
+  }
+
+  // checkbox changes in either menu
+  [
+    { box: categoryOptions, key: "categories" },
+    { box: brandOptions, key: "brands" },
+  ].forEach(({ box, key }) => {
+    if (!box) return;
+    box.addEventListener("change", (e) => {
+      if (!e.target.matches("input[type=checkbox]")) return;
+      productFilters[key] = [
+        ...box.querySelectorAll("input[type=checkbox]:checked"),
+      ].map((input) => input.value);
+      updateProductGrid();
+    });
+  });
+
+  if (concernFilter) {
+    concernFilter.addEventListener("change", () => {
+      productFilters.concern = concernFilter.value;
+      updateProductGrid();
+    });
+  }
+
+  if (activeFiltersBox) {
+    activeFiltersBox.addEventListener("click", (e) => {
+      if (e.target.closest(".clear-filters")) {
+        clearProductFilters();
+        updateProductGrid();
+        return;
+      }
+      const btn = e.target.closest(".remove-filter");
+      if (!btn) return;
+      const { key, value } = btn.dataset;
+      if (key === "concern") productFilters.concern = "";
+      else productFilters[key] = productFilters[key].filter((v) => v !== value);
+      updateProductGrid();
+    });
+  }
+
+  // close an open menu when clicking anywhere else
+  document.addEventListener("click", (e) => {
+    document.querySelectorAll(".filter-menu[open]").forEach((menu) => {
+      if (!menu.contains(e.target)) menu.removeAttribute("open");
+    });
+  });
+}
@@ -0,0 +1,146 @@
+/*
+  Product search
+
+  A small client-side search index over every product's name, brand,
+  category, description and ingredients:
+    - accent folding: "kerastase" finds Kérastase, "lancome" finds Lancôme
+    - typo tolerance: "moisturiser" or "retinal" still match close words
+    - prefix matching while typing: "hydr" finds Hydrating
+    - relevance ranking: a hit in the name counts more than one in the
+      description, and every word of the query has to match somewhere
+
+  The category, brand and concern filters live in product-filters.js; the
+  search only ranks the products those filters let through.
+*/
+
+// how much a hit in each field is worth
+const SEARCH_FIELD_WEIGHTS = {
+  name: 5,
+  brand: 4,
+  category: 3,
+  ingredients: 2,
+  description: 1,
+};
+
+/* Lowercase and strip accents: "Lancôme" -> "lancome" */
+function foldText(text) {
+  return String(text || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase();
+}
+
+/* Split text into folded words */
+function searchTokens(text) {
+  return foldText(text)
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+}
+
+/*
+  buildProductSearchIndex(products)
+  - Returns { products, entries } with one entry per product:
+    { product, fields: { name: [words], brand: [words], ... } }
+*/
+function buildProductSearchIndex(products) {
+  const entries = products.map((product) => ({
+    product,
+    fields: {
+      name: searchTokens(product.name),
+      brand: searchTokens(product.brand),
+      category: searchTokens(product.category),
+      ingredients: searchTokens((product.ingredients || []).join(" ")),
+      description: searchTokens(product.description),
+    },
+  }));
+  return { products, entries };
+}
+
+let productSearchIndex = null;
+
+/* The index for the full product list, rebuilt only when the list changes */
+function getProductSearchIndex(products) {
+  if (!productSearchIndex || productSearchIndex.products !== products) {
+    productSearchIndex = buildProductSearchIndex(products);
+  }
+  return productSearchIndex;
+}
+
+/*
+  editDistance(a, b, max)
+  - Levenshtein distance between two words, giving up (returning max + 1)
+    as soon as it is clear the words are further apart than `max`.
+*/
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      rowMin = Math.min(rowMin, row[j]);
+    }
+    if (rowMin > max) return max + 1;
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+// typos allowed for a query word: none for short words, more for long ones
+function allowedTypos(word) {
+  if (word.length < 4) return 0;
+  return word.length < 8 ? 1 : 2;
+}
+
+/* How well one query word matches one product word: 3 exact, 2 prefix, 1 typo */
+function wordMatchScore(queryWord, word) {
+  if (word === queryWord) return 3;
+  if (queryWord.length >= 2 && word.startsWith(queryWord)) return 2;
+  const typos = allowedTypos(queryWord);
+  if (typos > 0 && editDistance(queryWord, word, typos) <= typos) return 1;
+  return 0;
+}
+
+/*
+  searchProducts(index, query, products)
+  - Scores `products` (already narrowed by product-filters.js)
+    against the query. Every query word must match some field.
+  - Returns [{ product, score, terms }] best first, where `terms` are the
+    words of the product name that matched (for highlighting).
+*/
+function searchProducts(index, query, products) {
+  const queryWords = searchTokens(query);
+  const allowed = new Set(products.map((p) => p.id));
+  const results = [];
+
+  index.entries.forEach((entry, order) => {
+    if (!allowed.has(entry.product.id)) return;
+    let score = 0;
+    const terms = new Set();
+
+    const everyWordMatches = queryWords.every((qw) => {
+      let best = 0;
+      Object.keys(SEARCH_FIELD_WEIGHTS).forEach((field) => {
+        entry.fields[field].forEach((word) => {
+          const s = wordMatchScore(qw, word);
+          if (s === 0) return;
+          best = Math.max(best, s * SEARCH_FIELD_WEIGHTS[field]);
+          if (field === "name") terms.add(s === 2 ? qw : word);
+        });
+      });
+      score += best;
+      return best > 0;
+    });
+    if (!everyWordMatches) return;
+
+    // the whole query as a phrase in the name is the strongest signal
+    if (foldText(entry.product.name).includes(queryWords.join(" "))) {
+      score += 10;
+    }
+    results.push({ product: entry.product, score, terms: [...terms], order });
+  });
+
+  return results.sort((a, b) => b.score - a.score || a.order - b.order);
+}
@@ -0,0 +1,404 @@
+/*
+  Skin & hair profile
+
+  A short questionnaire (skin type, concerns, fragrance sensitivity,
+  pregnancy-safe requirement, hair texture) saved in localStorage under
+  "userProfile". The profile is used to:
+    - rank and badge product cards in displayProducts ("Good for oily skin")
+    - tell the AI about the customer when generating a routine
+*/
+
+const PROFILE_STORAGE_KEY = "userProfile";
+const PROFILE_DISMISSED_KEY = "profileOnboardingDismissed";
+
+const SKIN_TYPES = [
+  { value: "oily", label: "Oily" },
+  { value: "dry", label: "Dry" },
+  { value: "combination", label: "Combination" },
+  { value: "normal", label: "Normal" },
+  { value: "sensitive", label: "Sensitive" },
+];
+
+const SKIN_CONCERNS = [
+  { value: "acne", label: "Acne & breakouts" },
+  { value: "aging", label: "Fine lines & firmness" },
+  { value: "dullness", label: "Dullness & uneven tone" },
+  { value: "dryness", label: "Dehydration" },
+  { value: "redness", label: "Redness & irritation" },
+  { value: "pores", label: "Visible pores & shine" },
+];
+
+const HAIR_TEXTURES = [
+  { value: "straight", label: "Straight" },
+  { value: "wavy", label: "Wavy" },
+  { value: "curly", label: "Curly" },
+  { value: "coily", label: "Coily" },
+];
+
+// words in a product description that suggest it suits a skin type
+const SKIN_TYPE_KEYWORDS = {
+  oily: ["oily", "oil-free", "matte", "oil absorb"],
+  dry: ["dry", "rich", "moisture", "hydrat"],
+  combination: ["all skin types", "normal to oily", "oil-free", "lightweight"],
+  normal: ["normal", "all skin types"],
+  sensitive: ["sensitive", "soothe", "sooth", "non-irritating", "allergy"],
+};
+
+// words that mean a product is aimed at the opposite skin type
+const SKIN_TYPE_MISMATCH = {
+  oily: ["normal to dry", "dry to very dry", "rich"],
+  dry: ["normal to oily", "matte", "oil absorb"],
+};
+
+// words in a product description that suggest it helps a concern
+const CONCERN_KEYWORDS = {
+  acne: ["acne", "breakout", "blemish", "salicylic", "benzoyl"],
+  aging: ["anti-aging", "fine lines", "wrinkle", "firm", "retinol", "youth"],
+  dullness: ["vitamin c", "radiance", "brighten", "luminous", "even tone"],
+  dryness: ["hydrat", "moistur", "hyaluronic"],
+  redness: ["sooth", "redness", "calm", "irritation"],
+  pores: ["pore", "shine", "oil absorb"],
+};
+
+// haircare words that suit each hair texture
+const HAIR_TEXTURE_KEYWORDS = {
+  straight: ["shine", "lightweight", "without weight", "volume"],
+  wavy: ["frizz", "smooth", "shine"],
+  curly: ["frizz", "nourish", "moistur", "detangle"],
+  coily: ["nourish", "moistur", "detangle", "dry"],
+};
+
+const HAIR_CATEGORIES = ["haircare", "hair color", "hair styling"];
+
+/* Read the saved profile (or null if the user has not filled it in) */
+function loadProfile() {
+  try {
+    const raw = localStorage.getItem(PROFILE_STORAGE_KEY);
+    if (!raw) return null;
+    const profile = JSON.parse(raw);
+    return profile && typeof profile === "object" ? profile : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function saveProfile(profile) {
+  try {
+    if (profile) {
+      localStorage.setItem(PROFILE_STORAGE_KEY, JSON.stringify(profile));
+    } else {
+      localStorage.removeItem(PROFILE_STORAGE_KEY);
+    }
+  } catch (e) {
+    // ignore
+  }
+}
+
+let userProfile = loadProfile();
+
+function labelFor(options, value) {
+  const opt = options.find((o) => o.value === value);
+  return opt ? opt.label : value;
+}
+
+function textHasAny(text, words) {
+  return words.some((w) => text.includes(w));
+}
+
+/*
+  scoreProductForProfile(product, profile)
+  - Returns { score, badges } where a higher score means a better match.
+  - badges are { text, type } objects; type "good" or "caution".
+*/
+function scoreProductForProfile(product, profile) {
+  const result = { score: 0, badges: [] };
+  if (!profile || !product) return result;
+
+  const text = (product.name + " " + product.description).toLowerCase();
+  const ingredients = (product.ingredients || []).map((i) =>
+    String(i).toLowerCase()
+  );
+  const isHair = HAIR_CATEGORIES.includes(product.category);
+
+  if (!isHair && SKIN_TYPE_KEYWORDS[profile.skinType]) {
+    const matches = textHasAny(text, SKIN_TYPE_KEYWORDS[profile.skinType]);
+    const opposite = textHasAny(
+      text,
+      SKIN_TYPE_MISMATCH[profile.skinType] || []
+    );
+    if (matches && !opposite) {
+      const skinLabel = labelFor(SKIN_TYPES, profile.skinType).toLowerCase();
+      result.score += 3;
+      result.badges.push({ text: `Good for ${skinLabel} skin`, type: "good" });
+    }
+  }
+
+  if (!isHair && Array.isArray(profile.concerns)) {
+    profile.concerns.forEach((c) => {
+      if (CONCERN_KEYWORDS[c] && textHasAny(text, CONCERN_KEYWORDS[c])) {
+        result.score += 2;
+        result.badges.push({
+          text: `Helps with ${labelFor(SKIN_CONCERNS, c).toLowerCase()}`,
+          type: "good",
+        });
+      }
+    });
+  }
+
+  if (isHair && profile.hairTexture) {
+    const words = HAIR_TEXTURE_KEYWORDS[profile.hairTexture] || [];
+    if (textHasAny(text, words)) {
+      const hairLabel = labelFor(
+        HAIR_TEXTURES,
+        profile.hairTexture
+      ).toLowerCase();
+      result.score += 3;
+      result.badges.push({ text: `Good for ${hairLabel} hair`, type: "good" });
+    }
+  }
+
+  if (profile.fragranceSensitive) {
+    if (ingredients.includes("fragrance")) {
+      result.score -= 4;
+      result.badges.push({ text: "Contains fragrance", type: "caution" });
+    } else if (text.includes("fragrance-free")) {
+      result.score += 1;
+    }
+  }
+
+  // retinoids are the main active to avoid during pregnancy
+  if (
+    profile.pregnancySafe &&
+    getProductActives(product).includes("retinoid")
+  ) {
+    result.score -= 5;
+    result.badges.push({ text: "Not pregnancy-safe", type: "caution" });
+  }
+
+  return result;
+}
+
+/* Sort products so the best matches for the profile come first */
+function rankProductsForProfile(products, profile) {
+  if (!profile) return products;
+  return products
+    .map((p, index) => ({
+      p,
+      index,
+      score: scoreProductForProfile(p, profile).score,
+    }))
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .map((item) => item.p);
+}
+
+/* HTML for the badges shown on a product card */
+function profileBadgesHtml(product, profile) {
+  const { badges } = scoreProductForProfile(product, profile);
+  if (badges.length === 0) return "";
+  return `<div class="profile-badges">${badges
+    .map(
+      (b) =>
+        `<span class="profile-badge badge-${b.type}">${escapeHtml(
+          b.text
+        )}</span>`
+    )
+    .join("")}</div>`;
+}
+
+/* Plain-text description of the profile for the routine prompt */
+function describeProfileForPrompt(profile) {
+  if (!profile) return "";
+  const lines = [];
+  if (profile.skinType)
+    lines.push(`- Skin type: ${labelFor(SKIN_TYPES, profile.skinType)}`);
+  if (Array.isArray(profile.concerns) && profile.concerns.length > 0)
+    lines.push(
+      `- Skin concerns: ${profile.concerns
+        .map((c) => labelFor(SKIN_CONCERNS, c))
+        .join(", ")}`
+    );
+  if (profile.hairTexture)
+    lines.push(
+      `- Hair texture: ${labelFor(HAIR_TEXTURES, profile.hairTexture)}`
+    );
+  if (profile.fragranceSensitive)
+    lines.push("- Sensitive to fragrance: prefer fragrance-free steps");
+  if (profile.pregnancySafe)
+    lines.push(
+      "- Needs a pregnancy-safe routine: do not include retinoids and flag any product that should be checked with a doctor"
+    );
+  return lines.join("\n");
+}
+
+/* Short one-line summary shown next to the profile button */
+function profileSummaryText(profile) {
+  if (!profile) return "No profile yet";
+  const parts = [];
+  if (profile.skinType)
+    parts.push(`${labelFor(SKIN_TYPES, profile.skinType)} skin`);
+  if (profile.hairTexture)
+    parts.push(`${labelFor(HAIR_TEXTURES, profile.hairTexture)} hair`);
+  if (profile.fragranceSensitive) parts.push("Fragrance-free");
+  if (profile.pregnancySafe) parts.push("Pregnancy-safe");
+  return parts.length > 0 ? parts.join(" · ") : "Profile saved";
+}
+
+function updateProfileSummary() {
+  const summary = document.getElementById("profileSummary");
+  if (summary) summary.textContent = profileSummaryText(userProfile);
+}
+
+/* Profile questionnaire dialog */
+let profileModalEl = null;
+let profileLastFocused = null;
+
+function optionInputsHtml(name, type, options) {
+  return options
+    .map(
+      (o) => `
+      <label class="profile-option">
+        <input type="${type}" name="${name}" value="${o.value}" />
+        ${escapeHtml(o.label)}
+      </label>`
+    )
+    .join("");
+}
+
+function createProfileModal() {
+  profileModalEl = document.createElement("div");
+  profileModalEl.className = "modal-overlay profile-overlay";
+  profileModalEl.innerHTML = `
+    <div class="modal profile-modal" role="dialog" aria-modal="true" aria-labelledby="profileTitle">
+      <button class="modal-close" type="button" aria-label="Close">✕</button>
+      <h3 id="profileTitle" class="modal-title">Tell us about your skin &amp; hair</h3>
+      <p class="profile-intro">We use this to highlight products that suit you and to personalize your routine. It stays in this browser.</p>
+      <form id="profileForm">
+        <fieldset>
+          <legend>Skin type</legend>
+          ${optionInputsHtml("skinType", "radio", SKIN_TYPES)}
+        </fieldset>
+        <fieldset>
+          <legend>Skin concerns</legend>
+          ${optionInputsHtml("concerns", "checkbox", SKIN_CONCERNS)}
+        </fieldset>
+        <fieldset>
+          <legend>Hair texture</legend>
+          ${optionInputsHtml("hairTexture", "radio", HAIR_TEXTURES)}
+        </fieldset>
+        <fieldset>
+          <legend>Preferences</legend>
+          <label class="profile-option">
+            <input type="checkbox" name="fragranceSensitive" />
+            I'm sensitive to fragrance
+          </label>
+          <label class="profile-option">
+            <input type="checkbox" name="pregnancySafe" />
+            I need pregnancy-safe products
+          </label>
+        </fieldset>
+        <div class="profile-actions">
+          <button type="button" class="clear-btn profile-skip">Skip for now</button>
+          <button type="submit" class="generate-btn profile-save">Save profile</button>
+        </div>
+      </form>
+    </div>
+  `;
+
+  // close when clicking on overlay (but not when clicking inside modal)
+  profileModalEl.addEventListener("click", (e) => {
+    if (e.target === profileModalEl) closeProfileModal();
+  });
+
+  profileModalEl
+    .querySelector(".modal-close")
+    .addEventListener("click", () => closeProfileModal());
+
+  profileModalEl
+    .querySelector(".profile-skip")
+    .addEventListener("click", () => closeProfileModal());
+
+  profileModalEl.addEventListener("keydown", (e) => {
+    if (e.key === "Escape") closeProfileModal();
+  });
+
+  profileModalEl
+    .querySelector("#profileForm")
+    .addEventListener("submit", (e) => {
+      e.preventDefault();
+      const form = e.target;
+      const checked = (name) =>
+        [...form.querySelectorAll(`input[name="${name}"]:checked`)].map(
+          (i) => i.value
+        );
+
+      userProfile = {
+        skinType: checked("skinType")[0] || "",
+        concerns: checked("concerns"),
+        hairTexture: checked("hairTexture")[0] || "",
+        fragranceSensitive: form.fragranceSensitive.checked,
+        pregnancySafe: form.pregnancySafe.checked,
+      };
+      saveProfile(userProfile);
+      updateProfileSummary();
+      closeProfileModal();
+      // re-rank and badge the grid for the new profile
+      updateProductGrid();
+    });
+
+  document.body.appendChild(profileModalEl);
+}
+
+function openProfileModal(opener) {
+  if (!profileModalEl) createProfileModal();
+  profileLastFocused = opener || document.activeElement;
+
+  // pre-fill the form with the saved profile
+  const form = profileModalEl.querySelector("#profileForm");
+  const p = userProfile || {};
+  form.querySelectorAll("input").forEach((input) => {
+    if (input.name === "concerns") {
+      input.checked = (p.concerns || []).includes(input.value);
+    } else if (input.type === "radio") {
+      input.checked = p[input.name] === input.value;
+    } else {
+      input.checked = Boolean(p[input.name]);
+    }
+  });
+
+  profileModalEl.classList.add("open");
+  profileModalEl.querySelector(".modal-close").focus();
+}
+
+function closeProfileModal() {
+  if (!profileModalEl) return;
+  profileModalEl.classList.remove("open");
+  // remember that the first-visit questionnaire was seen
+  try {
+    localStorage.setItem(PROFILE_DISMISSED_KEY, "true");
+  } catch (e) {
+    // ignore
+  }
+  setTimeout(() => {
+    if (profileLastFocused && typeof profileLastFocused.focus === "function")
+      profileLastFocused.focus();
+  }, 240);
+}
+
+/*
+  initProfile(skipOnboarding)
+  - Wires up the header button and shows the questionnaire on a first visit,
+    unless skipOnboarding is true (e.g. a shared routine is being shown).
+*/
+function initProfile(skipOnboarding) {
+  const btn = document.getElementById("profileBtn");
+  if (btn) btn.addEventListener("click", () => openProfileModal(btn));
+  updateProfileSummary();
+
+  let dismissed = false;
+  try {
+    dismissed = localStorage.getItem(PROFILE_DISMISSED_KEY) === "true";
+  } catch (e) {
+    // ignore
+  }
+  if (!userProfile && !dismissed && !skipOnboarding) openProfileModal(btn);
+}
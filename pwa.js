@@ -0,0 +1,46 @@
+/*
+  Installable app and offline mode
+
+  Registers the service worker (sw.js), which caches the app, the product
+  catalog and product images so the page opens and products can be browsed,
+  selected and saved routines reopened without a connection.
+
+  Generating a routine needs the worker, so Generate Routine is disabled
+  while offline with a note saying why. Follow-up questions are queued
+  instead (network.js).
+*/
+
+function registerServiceWorker() {
+  if (!("serviceWorker" in navigator)) return;
+  // service workers only run on https:// and http://localhost
+  if (!window.isSecureContext) return;
+  navigator.serviceWorker.register("sw.js").catch((err) => {
+    debugLog("Service worker registration failed:", err);
+  });
+}
+
+/*
+  updateGenerateAvailability()
+  - Disables Generate Routine while offline. A routine that is being
+    generated (aria-busy) is left alone; the button is updated when it ends.
+*/
+function updateGenerateAvailability() {
+  const btn = document.getElementById("generateRoutine");
+  const note = document.getElementById("generateOfflineNote");
+  if (!btn || btn.getAttribute("aria-busy") === "true") return;
+  const offline = isOffline();
+  btn.disabled = offline;
+  btn.title = offline
+    ? "Generating a routine needs an internet connection"
+    : "";
+  if (note) note.hidden = !offline;
+}
+
+function initPwa() {
+  registerServiceWorker();
+  window.addEventListener("online", updateGenerateAvailability);
+  window.addEventListener("offline", updateGenerateAvailability);
+  updateGenerateAvailability();
+}
+
+initPwa();
@@ -0,0 +1,369 @@
+/*
+  Calendar reminders for a routine
+
+  Builds an iCalendar (.ics) file from the current routine that any calendar
+  app (Google, Apple, Outlook...) can import, no account or server needed:
+    - one daily event for the AM steps and one for the PM steps
+    - one event per weekly treatment, repeating on as many days a week as its
+      frequency says ("2x per week", "twice weekly", "every other day"...)
+
+  The user picks the start date, the AM / PM / weekly times and the day the
+  weekly treatments start from in a small dialog. The choices are kept in
+  localStorage for next time.
+*/
+
+const CALENDAR_SETTINGS_KEY = "calendarSettings";
+const ICS_DAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+const WEEK_DAY_LABELS = [
+  "Sunday",
+  "Monday",
+  "Tuesday",
+  "Wednesday",
+  "Thursday",
+  "Friday",
+  "Saturday",
+];
+
+let calendarModalEl = null;
+let calendarLastFocused = null;
+
+/* YYYY-MM-DD for a Date, in local time (what <input type="date"> uses) */
+function dateInputValue(date) {
+  const pad = (n) => String(n).padStart(2, "0");
+  const month = pad(date.getMonth() + 1);
+  return `${date.getFullYear()}-${month}-${pad(date.getDate())}`;
+}
+
+function defaultCalendarSettings() {
+  const tomorrow = new Date();
+  tomorrow.setDate(tomorrow.getDate() + 1);
+  return {
+    startDate: dateInputValue(tomorrow),
+    amTime: "07:30",
+    pmTime: "21:30",
+    weeklyTime: "20:00",
+    weeklyDay: 0, // Sunday
+    reminder: true,
+  };
+}
+
+function loadCalendarSettings() {
+  const settings = defaultCalendarSettings();
+  try {
+    const saved = JSON.parse(localStorage.getItem(CALENDAR_SETTINGS_KEY));
+    if (saved && typeof saved === "object") {
+      // the start date is not remembered: an old date would start in the past
+      ["amTime", "pmTime", "weeklyTime", "weeklyDay", "reminder"].forEach(
+        (key) => {
+          if (saved[key] !== undefined) settings[key] = saved[key];
+        }
+      );
+    }
+  } catch (e) {
+    // ignore
+  }
+  return settings;
+}
+
+function saveCalendarSettings(settings) {
+  try {
+    localStorage.setItem(CALENDAR_SETTINGS_KEY, JSON.stringify(settings));
+  } catch (e) {
+    // ignore
+  }
+}
+
+/*
+  weeklySchedule(frequency)
+  - Reads a frequency like "2x per week", "twice weekly" or "every other
+    day" and returns { everyOtherDay } or { timesPerWeek } (1 to 7).
+  - Anything it does not understand counts as once a week.
+*/
+function weeklySchedule(frequency) {
+  const text = String(frequency || "").toLowerCase();
+  if (/every other day|alternate days|every 2 days/.test(text)) {
+    return { everyOtherDay: true };
+  }
+  if (/daily|every day|nightly/.test(text)) return { timesPerWeek: 7 };
+
+  const number = text.match(/(\d+)\s*(x|times|×)/);
+  let times = number ? Number(number[1]) : 1;
+  if (!number) {
+    if (/twice|two times/.test(text)) times = 2;
+    else if (/three times|thrice/.test(text)) times = 3;
+    else if (/four times/.test(text)) times = 4;
+  }
+  return { timesPerWeek: Math.min(Math.max(times, 1), 7) };
+}
+
+/* Spread n days over the week, starting from `firstDay` (0 = Sunday) */
+function spreadWeekDays(firstDay, n) {
+  const days = [];
+  for (let i = 0; i < n; i++) {
+    days.push((firstDay + Math.round((i * 7) / n)) % 7);
+  }
+  return [...new Set(days)].sort((a, b) => a - b);
+}
+
+/* ---------- iCalendar text ---------- */
+
+/* Escape text values (RFC 5545 section 3.3.11) */
+function icsText(text) {
+  return String(text || "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+/* Lines longer than 75 bytes are folded onto continuation lines */
+function foldIcsLine(line) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let current = "";
+  let bytes = 0;
+  for (const ch of line) {
+    const size = encoder.encode(ch).length;
+    if (bytes + size > 75) {
+      parts.push(current);
+      current = " ";
+      bytes = 1;
+    }
+    current += ch;
+    bytes += size;
+  }
+  parts.push(current);
+  return parts.join("\r\n");
+}
+
+/* "2026-10-20" + "07:30" -> "20261020T073000" (floating local time) */
+function icsLocalDateTime(date, time) {
+  return `${date.replace(/-/g, "")}T${time.replace(":", "")}00`;
+}
+
+/* The first date on or after `date` that falls on one of `weekDays` */
+function firstMatchingDate(date, weekDays) {
+  const d = new Date(`${date}T00:00:00`);
+  while (!weekDays.includes(d.getDay())) d.setDate(d.getDate() + 1);
+  return dateInputValue(d);
+}
+
+/* How long a list of steps takes: 2 minutes each plus the waits */
+function stepsDuration(steps) {
+  return steps.reduce((total, s) => total + 2 + (s.waitMinutes || 0), 0);
+}
+
+function stepsDescription(steps) {
+  return steps
+    .map((s) => {
+      const name = `${s.product.brand} ${s.product.name}`.trim();
+      const meta = stepMetaText(s);
+      return `${s.step}. ${name}: ${s.action}${meta ? ` (${meta})` : ""}`;
+    })
+    .join("\n");
+}
+
+/*
+  routineCalendarEvents(data, settings)
+  - Turns routineExportData() into a list of
+    { uid, summary, description, start, minutes, rrule }.
+*/
+function routineCalendarEvents(data, settings) {
+  const events = [];
+  const bySection = {};
+  data.sections.forEach((s) => (bySection[s.key] = s.steps));
+
+  [
+    { key: "am", label: "Morning routine", time: settings.amTime },
+    { key: "pm", label: "Evening routine", time: settings.pmTime },
+  ].forEach(({ key, label, time }) => {
+    const steps = bySection[key] || [];
+    if (steps.length === 0) return;
+    events.push({
+      uid: key,
+      summary: `${label}: ${data.title}`,
+      description: stepsDescription(steps),
+      start: icsLocalDateTime(settings.startDate, time),
+      minutes: stepsDuration(steps),
+      rrule: "FREQ=DAILY",
+    });
+  });
+
+  (bySection.weekly || []).forEach((step) => {
+    const schedule = weeklySchedule(step.frequency);
+    const name = `${step.product.brand} ${step.product.name}`.trim();
+    let date = settings.startDate;
+    let rrule = "FREQ=DAILY;INTERVAL=2";
+    if (!schedule.everyOtherDay) {
+      const days = spreadWeekDays(
+        Number(settings.weeklyDay),
+        schedule.timesPerWeek
+      );
+      date = firstMatchingDate(settings.startDate, days);
+      rrule = `FREQ=WEEKLY;BYDAY=${days.map((d) => ICS_DAYS[d]).join(",")}`;
+    }
+    events.push({
+      uid: `weekly-${step.step}`,
+      summary: `${name} (${step.frequency || "weekly"})`,
+      description: stepsDescription([step]),
+      start: icsLocalDateTime(date, settings.weeklyTime),
+      minutes: stepsDuration([step]),
+      rrule,
+    });
+  });
+
+  return events;
+}
+
+/*
+  routineToIcs(data, settings)
+  - Returns the .ics file text (CRLF line endings, folded lines).
+*/
+function routineToIcs(data, settings) {
+  const stamp = new Date().toISOString().replace(/[-:]/g, "").slice(0, 15);
+  const uidBase = `${Date.now().toString(36)}-${routineSlug(data.title)}`;
+
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//L'Oreal Smart Routine Advisor//Routine Export//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${icsText(data.title)}`,
+  ];
+
+  routineCalendarEvents(data, settings).forEach((event) => {
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${uidBase}-${event.uid}@routine-advisor`,
+      `DTSTAMP:${stamp}Z`,
+      `DTSTART:${event.start}`,
+      `DURATION:PT${event.minutes}M`,
+      `RRULE:${event.rrule}`,
+      `SUMMARY:${icsText(event.summary)}`,
+      `DESCRIPTION:${icsText(event.description)}`
+    );
+    if (settings.reminder) {
+      lines.push(
+        "BEGIN:VALARM",
+        "ACTION:DISPLAY",
+        `DESCRIPTION:${icsText(event.summary)}`,
+        "TRIGGER:PT0M",
+        "END:VALARM"
+      );
+    }
+    lines.push("END:VEVENT");
+  });
+
+  lines.push("END:VCALENDAR");
+  return lines.map(foldIcsLine).join("\r\n") + "\r\n";
+}
+
+/* ---------- settings dialog ---------- */
+
+function createCalendarModal() {
+  calendarModalEl = document.createElement("div");
+  calendarModalEl.className = "modal-overlay calendar-overlay";
+  calendarModalEl.innerHTML = `
+    <div class="modal calendar-modal" role="dialog" aria-modal="true" aria-labelledby="calendarTitle">
+      <button class="modal-close" type="button" aria-label="Close">✕</button>
+      <h3 id="calendarTitle" class="modal-title">Add reminders to your calendar</h3>
+      <p class="profile-intro">Download a calendar file with repeating reminders for this routine and open it with any calendar app.</p>
+      <form id="calendarForm" class="calendar-form">
+        <label>Start on <input type="date" name="startDate" required /></label>
+        <label>Morning routine at <input type="time" name="amTime" required /></label>
+        <label>Evening routine at <input type="time" name="pmTime" required /></label>
+        <label>Weekly treatments at <input type="time" name="weeklyTime" required /></label>
+        <label>Weekly treatments start on
+          <select name="weeklyDay">
+            ${WEEK_DAY_LABELS.map(
+              (label, i) => `<option value="${i}">${label}</option>`
+            ).join("")}
+          </select>
+        </label>
+        <label class="profile-option">
+          <input type="checkbox" name="reminder" />
+          Show an alert when each reminder starts
+        </label>
+        <div class="profile-actions">
+          <button type="button" class="clear-btn calendar-cancel">Cancel</button>
+          <button type="submit" class="generate-btn">Download .ics</button>
+        </div>
+      </form>
+    </div>
+  `;
+
+  // close when clicking on overlay (but not when clicking inside modal)
+  calendarModalEl.addEventListener("click", (e) => {
+    if (e.target === calendarModalEl) closeCalendarDialog();
+  });
+
+  calendarModalEl
+    .querySelector(".modal-close")
+    .addEventListener("click", () => closeCalendarDialog());
+
+  calendarModalEl
+    .querySelector(".calendar-cancel")
+    .addEventListener("click", () => closeCalendarDialog());
+
+  calendarModalEl.addEventListener("keydown", (e) => {
+    if (e.key === "Escape") closeCalendarDialog();
+  });
+
+  calendarModalEl
+    .querySelector("#calendarForm")
+    .addEventListener("submit", (e) => {
+      e.preventDefault();
+      const fields = e.target.elements;
+      const settings = {
+        startDate: fields.startDate.value,
+        amTime: fields.amTime.value,
+        pmTime: fields.pmTime.value,
+        weeklyTime: fields.weeklyTime.value,
+        weeklyDay: Number(fields.weeklyDay.value),
+        reminder: fields.reminder.checked,
+      };
+      saveCalendarSettings(settings);
+      downloadRoutineCalendar(settings);
+      closeCalendarDialog();
+    });
+
+  document.body.appendChild(calendarModalEl);
+}
+
+function openCalendarDialog(opener) {
+  if (!routineExportData()) return;
+  if (!calendarModalEl) createCalendarModal();
+  calendarLastFocused = opener || document.activeElement;
+
+  const fields = calendarModalEl.querySelector("#calendarForm").elements;
+  const settings = loadCalendarSettings();
+  fields.startDate.value = settings.startDate;
+  fields.amTime.value = settings.amTime;
+  fields.pmTime.value = settings.pmTime;
+  fields.weeklyTime.value = settings.weeklyTime;
+  fields.weeklyDay.value = String(settings.weeklyDay);
+  fields.reminder.checked = Boolean(settings.reminder);
+
+  calendarModalEl.classList.add("open");
+  calendarModalEl.querySelector(".modal-close").focus();
+}
+
+function closeCalendarDialog() {
+  if (!calendarModalEl) return;
+  calendarModalEl.classList.remove("open");
+  setTimeout(() => {
+    if (calendarLastFocused && typeof calendarLastFocused.focus === "function")
+      calendarLastFocused.focus();
+  }, 240);
+}
+
+function downloadRoutineCalendar(settings) {
+  const data = routineExportData();
+  if (!data) return;
+  downloadTextFile(
+    exportFileName(data.title, "ics"),
+    "text/calendar",
+    routineToIcs(data, settings)
+  );
+}
@@ -0,0 +1,278 @@
+/*
+  Structured routine output
+
+  When the user clicks "Generate Routine" we ask the model to reply with a JSON
+  object instead of plain text. This file checks that reply against a small
+  schema and turns it into AM / PM / weekly step cards in the chat window.
+
+  Shape we ask for:
+    {
+      "title": "string",
+      "summary": "string",
+      "am": [step, ...],
+      "pm": [step, ...],
+      "weekly": [step, ...]
+    }
+  where each step is:
+    {
+      "step": 1,
+      "productId": 3,
+      "action": "Apply a pea-sized amount...",
+      "waitMinutes": 1,
+      "rationale": "Why this step matters",
+      "frequency": "2x per week" (weekly steps only)
+    }
+*/
+
+const ROUTINE_SECTIONS = [
+  { key: "am", label: "Morning (AM)", icon: "fa-sun" },
+  { key: "pm", label: "Evening (PM)", icon: "fa-moon" },
+  { key: "weekly", label: "Weekly", icon: "fa-calendar-week" },
+];
+
+// Instructions appended to the routine prompt so the model returns our schema
+const ROUTINE_JSON_INSTRUCTIONS = `Reply with ONLY a JSON object (no markdown fences, no extra text) in this exact shape:
+{
+  "title": "short routine name",
+  "summary": "one or two sentences",
+  "am": [{ "step": 1, "productId": <id from the product list>, "action": "how to apply", "waitMinutes": 0, "rationale": "brief why" }],
+  "pm": [ ...same step shape... ],
+  "weekly": [{ "step": 1, "productId": <id>, "action": "how to apply", "waitMinutes": 0, "rationale": "brief why", "frequency": "e.g. 2x per week" }]
+}
+Only use productId values from the product list. Leave a section as an empty array if it has no steps.`;
+
+/*
+  parseRoutineReply(text)
+  - Pulls the first JSON object out of the model reply (the model sometimes
+    wraps it in ```json fences or adds a sentence before it).
+  - Returns the parsed object, or null if nothing could be parsed.
+*/
+function parseRoutineReply(text) {
+  if (!text || typeof text !== "string") return null;
+  const cleaned = text.replace(/```(?:json)?/gi, "").trim();
+  const start = cleaned.indexOf("{");
+  const end = cleaned.lastIndexOf("}");
+  if (start === -1 || end <= start) return null;
+  try {
+    return JSON.parse(cleaned.slice(start, end + 1));
+  } catch (e) {
+    return null;
+  }
+}
+
+/*
+  validateRoutine(data, allowedIds)
+  - Checks the parsed reply against the schema above.
+  - Every step must reference one of the selected product ids.
+  - Returns { ok, errors, routine } where `routine` is a cleaned-up copy with
+    steps sorted by their step number.
+*/
+function validateRoutine(data, allowedIds) {
+  const errors = [];
+  const routine = { title: "", summary: "", am: [], pm: [], weekly: [] };
+
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    return { ok: false, errors: ["Reply is not a JSON object"], routine };
+  }
+
+  routine.title = typeof data.title === "string" ? data.title.trim() : "";
+  routine.summary = typeof data.summary === "string" ? data.summary.trim() : "";
+
+  ROUTINE_SECTIONS.forEach(({ key }) => {
+    const steps = data[key] === undefined ? [] : data[key];
+    if (!Array.isArray(steps)) {
+      errors.push(`"${key}" must be an array`);
+      return;
+    }
+
+    steps.forEach((s, i) => {
+      const where = `${key}[${i}]`;
+      if (!s || typeof s !== "object") {
+        errors.push(`${where} is not an object`);
+        return;
+      }
+
+      const productId = Number(s.productId);
+      if (!allowedIds.includes(productId)) {
+        errors.push(`${where} references unknown productId ${s.productId}`);
+        return;
+      }
+
+      if (typeof s.action !== "string" || !s.action.trim()) {
+        errors.push(`${where} is missing "action"`);
+        return;
+      }
+
+      let waitMinutes = 0;
+      if (s.waitMinutes !== undefined && s.waitMinutes !== null) {
+        waitMinutes = Number(s.waitMinutes);
+        if (!Number.isFinite(waitMinutes) || waitMinutes < 0) {
+          errors.push(`${where} has an invalid "waitMinutes"`);
+          return;
+        }
+      }
+
+      routine[key].push({
+        step: Number.isFinite(Number(s.step)) ? Number(s.step) : i + 1,
+        productId,
+        action: s.action.trim(),
+        waitMinutes,
+        rationale: typeof s.rationale === "string" ? s.rationale.trim() : "",
+        frequency: typeof s.frequency === "string" ? s.frequency.trim() : "",
+      });
+    });
+
+    // keep the order the model intended, then renumber 1..n
+    routine[key].sort((a, b) => a.step - b.step);
+    routine[key].forEach((s, i) => (s.step = i + 1));
+  });
+
+  const totalSteps =
+    routine.am.length + routine.pm.length + routine.weekly.length;
+  if (totalSteps === 0) errors.push("Routine has no steps");
+
+  return { ok: errors.length === 0, errors, routine };
+}
+
+// find a product by id, even if it is not in the currently filtered grid
+function findProductById(id) {
+  if (productsById[id]) return productsById[id];
+  return allProducts.find((p) => p.id === id) || null;
+}
+
+/* Build the HTML for a single step card */
+function routineStepHtml(step) {
+  const product = findProductById(step.productId) || {};
+  const name = product.name || `Product ${step.productId}`;
+  const wait =
+    step.waitMinutes > 0
+      ? `<span class="step-wait"><i class="fa-regular fa-clock"></i> Wait ${step.waitMinutes} min</span>`
+      : "";
+  const frequency = step.frequency
+    ? `<span class="step-frequency">${escapeHtml(step.frequency)}</span>`
+    : "";
+
+  return `
+    <li class="routine-step" data-id="${
+      step.productId
+    }" tabindex="0" role="button" aria-pressed="false">
+      <span class="step-number">${step.step}</span>
+      ${
+        product.image
+          ? `<img class="step-thumb" src="${product.image}" alt="${escapeHtml(
+              name
+            )}" />`
+          : ""
+      }
+      <div class="step-info">
+        <div class="step-product">${escapeHtml(name)}</div>
+        <div class="step-action">${escapeHtml(step.action)}</div>
+        <div class="step-meta">${wait}${frequency}</div>
+        ${
+          step.rationale
+            ? `<button class="step-why-btn" type="button" aria-expanded="false">Why?</button>
+        <div class="step-rationale" hidden>${escapeHtml(step.rationale)}</div>`
+            : ""
+        }
+      </div>
+    </li>
+  `;
+}
+
+/* HTML for the title, summary and AM / PM / weekly sections of a routine */
+function routineCardsHtml(routine) {
+  const sectionsHtml = ROUTINE_SECTIONS.filter(
+    ({ key }) => routine[key].length > 0
+  )
+    .map(
+      ({ key, label, icon }) => `
+    <div class="routine-section routine-${key}">
+      <h3><i class="fa-solid ${icon}"></i> ${label}</h3>
+      <ol class="routine-steps">
+        ${routine[key].map(routineStepHtml).join("")}
+      </ol>
+    </div>
+  `
+    )
+    .join("");
+
+  return `
+    ${
+      routine.title
+        ? `<div class="routine-title">${escapeHtml(routine.title)}</div>`
+        : ""
+    }
+    ${
+      routine.summary
+        ? `<p class="routine-summary">${escapeHtml(routine.summary)}</p>`
+        : ""
+    }
+    ${sectionsHtml}
+  `;
+}
+
+/*
+  wireRoutineCards(container)
+  - Clicking a card marks the step as done, the thumbnail opens the product
+    modal, and "Why?" shows the rationale.
+*/
+function wireRoutineCards(container) {
+  container.querySelectorAll(".routine-step").forEach((stepEl) => {
+    const toggleDone = () => {
+      const done = stepEl.classList.toggle("done");
+      stepEl.setAttribute("aria-pressed", String(done));
+    };
+
+    stepEl.addEventListener("click", toggleDone);
+    stepEl.addEventListener("keydown", (e) => {
+      if (e.target !== stepEl) return;
+      if (e.key === "Enter" || e.key === " ") {
+        e.preventDefault();
+        toggleDone();
+      }
+    });
+
+    // thumbnail opens the same product modal as the grid's Learn more button
+    const thumb = stepEl.querySelector(".step-thumb");
+    if (thumb) {
+      thumb.addEventListener("click", (e) => {
+        e.stopPropagation();
+        const product = findProductById(Number(stepEl.dataset.id));
+        if (product) showProductModal(product, stepEl);
+      });
+    }
+
+    const whyBtn = stepEl.querySelector(".step-why-btn");
+    if (whyBtn) {
+      whyBtn.addEventListener("click", (e) => {
+        e.stopPropagation();
+        const rationale = stepEl.querySelector(".step-rationale");
+        rationale.hidden = !rationale.hidden;
+        whyBtn.setAttribute("aria-expanded", String(!rationale.hidden));
+      });
+    }
+  });
+}
+
+/*
+  renderRoutineCards(routine)
+  - Appends the routine to the chat window as AM / PM / weekly step cards
+    (see wireRoutineCards for what the cards do) with the print and
+    download buttons from routine-export.js.
+  - Returns the new chat bubble element.
+*/
+function renderRoutineCards(routine) {
+  if (!chatWindow) return;
+  const wrapper = document.createElement("div");
+  wrapper.className = "chat-msg assistant-msg routine-msg";
+  wrapper.innerHTML = `
+    <div class="msg-role">Advisor</div>
+    ${routineCardsHtml(routine)}
+    ${routineExportBarHtml()}
+  `;
+  wireRoutineCards(wrapper);
+
+  chatWindow.appendChild(wrapper);
+  chatWindow.scrollTop = chatWindow.scrollHeight;
+  return wrapper;
+}
@@ -0,0 +1,411 @@
+/*
+  Routine diary ("Today")
+
+  Turns the current routine into a daily checklist:
+    - AM, PM and weekly steps as checkboxes for today
+    - completions are logged per date in localStorage, per saved routine
+    - streak (days in a row with every AM and PM step done) and adherence
+      per product over the last 7 days
+    - a free-text skin note for each day
+
+  Stored under DIARY_STORAGE_KEY as:
+    {
+      [routine id]: {
+        startDate: "2026-10-19",   // first day the diary was used
+        days: { "2026-10-19": { done: ["am-1", "pm-2"], note: "..." } }
+      }
+    }
+
+  When "Share my diary with the advisor" is on, withDiarySummary() adds a
+  short adherence summary to the messages sent for follow-up questions, so
+  the advisor can answer things like "why is my skin still dry?" with the
+  user's real habits in mind.
+*/
+
+const DIARY_STORAGE_KEY = "routineDiary";
+const DIARY_SHARE_KEY = "routineDiaryShare";
+const DIARY_WINDOW_DAYS = 7;
+
+const todayPanel = document.getElementById("todayPanel");
+
+function loadAllDiaries() {
+  try {
+    const all = JSON.parse(localStorage.getItem(DIARY_STORAGE_KEY));
+    return all && typeof all === "object" ? all : {};
+  } catch (e) {
+    return {};
+  }
+}
+
+function saveAllDiaries(all) {
+  try {
+    localStorage.setItem(DIARY_STORAGE_KEY, JSON.stringify(all));
+  } catch (e) {
+    // ignore
+  }
+}
+
+/* Which routine the diary belongs to: the saved one, if it was saved */
+function diaryKey() {
+  return activeRoutineId || "unsaved";
+}
+
+function todayKey() {
+  return dateInputValue(new Date()); // routine-calendar.js
+}
+
+/* The diary for the active routine, created on first use */
+function loadDiary() {
+  const diary = loadAllDiaries()[diaryKey()];
+  if (diary && diary.days) return diary;
+  return { startDate: todayKey(), days: {} };
+}
+
+function saveDiary(diary) {
+  const all = loadAllDiaries();
+  all[diaryKey()] = diary;
+  saveAllDiaries(all);
+}
+
+/* Forget the diary of a routine that was deleted from My Routines */
+function deleteRoutineDiary(routineId) {
+  const all = loadAllDiaries();
+  if (!all[routineId]) return;
+  delete all[routineId];
+  saveAllDiaries(all);
+}
+
+function diaryDay(diary, date) {
+  return diary.days[date] || { done: [], note: "" };
+}
+
+/* "2026-10-19" -> the date `offset` days before it */
+function shiftDate(date, offset) {
+  const d = new Date(`${date}T00:00:00`);
+  d.setDate(d.getDate() - offset);
+  return dateInputValue(d);
+}
+
+/* Steps of the current routine with a stable key for the diary */
+function diarySteps() {
+  const data = routineExportData(); // routine-export.js
+  if (!data) return [];
+  const steps = [];
+  data.sections.forEach((section) =>
+    section.steps.forEach((s) =>
+      steps.push({
+        ...s,
+        section: section.key,
+        key: `${section.key}-${s.step}`,
+      })
+    )
+  );
+  return steps;
+}
+
+/* ---------- streaks and adherence ---------- */
+
+/* A day counts for the streak when every AM and PM step was checked */
+function isDayComplete(diary, date, steps) {
+  const daily = steps.filter((s) => s.section !== "weekly");
+  const done = diaryDay(diary, date).done;
+  return daily.length > 0 && daily.every((s) => done.includes(s.key));
+}
+
+/*
+  diaryStreaks(diary, steps)
+  - current: complete days in a row up to today (today only counts once
+    it is complete, so an unfinished evening does not break the streak)
+  - best: the longest run since the diary started
+*/
+function diaryStreaks(diary, steps) {
+  const today = todayKey();
+  let current = 0;
+  let date = isDayComplete(diary, today, steps) ? today : shiftDate(today, 1);
+  while (date >= diary.startDate && isDayComplete(diary, date, steps)) {
+    current += 1;
+    date = shiftDate(date, 1);
+  }
+
+  let best = 0;
+  let run = 0;
+  for (let d = diary.startDate; d <= today; d = shiftDate(d, -1)) {
+    run = isDayComplete(diary, d, steps) ? run + 1 : 0;
+    best = Math.max(best, run);
+  }
+  return { current, best };
+}
+
+/* The last 7 days (fewer if the diary is newer), oldest first */
+function diaryWindow(diary) {
+  const dates = [];
+  for (let i = DIARY_WINDOW_DAYS - 1; i >= 0; i--) {
+    const date = shiftDate(todayKey(), i);
+    if (date >= diary.startDate) dates.push(date);
+  }
+  return dates;
+}
+
+/* How often a step should have been done in `days` days */
+function expectedCount(step, days) {
+  if (step.section !== "weekly") return days;
+  const schedule = weeklySchedule(step.frequency); // routine-calendar.js
+  if (schedule.everyOtherDay) return Math.ceil(days / 2);
+  return Math.max(1, Math.round((schedule.timesPerWeek * days) / 7));
+}
+
+/*
+  productAdherence(diary, steps)
+  - Returns [{ name, done, expected, percent }] per product over the window.
+*/
+function productAdherence(diary, steps) {
+  const dates = diaryWindow(diary);
+  const byProduct = {};
+  steps.forEach((s) => {
+    const row = byProduct[s.productId] || {
+      name: `${s.product.brand} ${s.product.name}`.trim(),
+      done: 0,
+      expected: 0,
+    };
+    row.expected += expectedCount(s, dates.length);
+    row.done += dates.filter((d) =>
+      diaryDay(diary, d).done.includes(s.key)
+    ).length;
+    byProduct[s.productId] = row;
+  });
+  return Object.values(byProduct).map((row) => ({
+    ...row,
+    percent: Math.min(100, Math.round((row.done / row.expected) * 100)),
+  }));
+}
+
+/* Notes from the last 7 days, newest first */
+function recentNotes(diary) {
+  return diaryWindow(diary)
+    .reverse()
+    .map((date) => ({ date, note: diaryDay(diary, date).note }))
+    .filter((n) => n.note);
+}
+
+/* ---------- follow-up chat ---------- */
+
+function isDiaryShared() {
+  try {
+    return localStorage.getItem(DIARY_SHARE_KEY) !== "false";
+  } catch (e) {
+    return true;
+  }
+}
+
+/*
+  adherenceSummaryForPrompt()
+  - Plain-text summary of the last 7 days, or "" when there is nothing
+    logged yet.
+*/
+function adherenceSummaryForPrompt() {
+  const steps = diarySteps();
+  if (steps.length === 0) return "";
+  const diary = loadDiary();
+  const dates = diaryWindow(diary);
+  const logged = dates.some((d) => {
+    const day = diaryDay(diary, d);
+    return day.done.length > 0 || day.note;
+  });
+  if (!logged) return "";
+
+  const { current, best } = diaryStreaks(diary, steps);
+  const lines = [
+    `Routine diary for the last ${dates.length} day(s), from the customer's own check-offs:`,
+    `- Streak: ${current} day(s) in a row with every AM and PM step done (best ${best})`,
+    ...productAdherence(diary, steps).map(
+      (p) => `- ${p.name}: ${p.done} of ${p.expected} times (${p.percent}%)`
+    ),
+  ];
+  const notes = recentNotes(diary);
+  if (notes.length > 0) {
+    lines.push("Skin notes:");
+    notes.forEach((n) => lines.push(`- ${n.date}: ${n.note}`));
+  }
+  return lines.join("\n");
+}
+
+/*
+  withDiarySummary(messages)
+  - Returns the messages to send for a follow-up question: the adherence
+    summary goes in as a system message just before the new question. It
+    is not stored in the conversation, so it is always current.
+*/
+function withDiarySummary(messages) {
+  if (!isDiaryShared()) return messages;
+  const summary = adherenceSummaryForPrompt();
+  if (!summary) return messages;
+  const copy = messages.slice();
+  copy.splice(copy.length - 1, 0, { role: "system", content: summary });
+  return copy;
+}
+
+/* ---------- "Today" panel ---------- */
+
+function diaryChecklistHtml(steps, done) {
+  return ROUTINE_SECTIONS.map(({ key, label, icon }) => {
+    const sectionSteps = steps.filter((s) => s.section === key);
+    if (sectionSteps.length === 0) return "";
+    const items = sectionSteps
+      .map((s) => {
+        const name = `${s.product.brand} ${s.product.name}`.trim();
+        const checked = done.includes(s.key) ? "checked" : "";
+        const action = escapeHtml(s.action);
+        const frequency = s.frequency
+          ? ` <em class="step-frequency">${escapeHtml(s.frequency)}</em>`
+          : "";
+        return `
+      <label class="today-step">
+        <input type="checkbox" data-step="${s.key}" ${checked} />
+        <span><strong>${escapeHtml(name)}</strong> ${action}${frequency}</span>
+      </label>
+    `;
+      })
+      .join("");
+    return `
+      <fieldset class="today-section">
+        <legend><i class="fa-solid ${icon}"></i> ${label}</legend>
+        ${items}
+      </fieldset>
+    `;
+  }).join("");
+}
+
+/* Streak and adherence numbers (redrawn after every check-off) */
+function renderDiaryStats() {
+  const box = document.getElementById("todayStats");
+  if (!box) return;
+  const steps = diarySteps();
+  const diary = loadDiary();
+  const { current, best } = diaryStreaks(diary, steps);
+  const days = diaryWindow(diary).length;
+
+  const rows = productAdherence(diary, steps)
+    .map(
+      (p) => `
+      <li>
+        <span>${escapeHtml(p.name)}</span>
+        <span class="adherence-bar" aria-hidden="true">
+          <span style="width: ${p.percent}%"></span>
+        </span>
+        <span class="adherence-value">${p.percent}%</span>
+      </li>
+    `
+    )
+    .join("");
+
+  const notes = recentNotes(diary)
+    .filter((n) => n.date !== todayKey())
+    .map(
+      (n) =>
+        `<li><strong>${escapeHtml(n.date)}</strong> ${escapeHtml(n.note)}</li>`
+    )
+    .join("");
+
+  const plural = (n) => (n === 1 ? "day" : "days");
+  box.innerHTML = `
+    <p class="today-streak">
+      <i class="fa-solid fa-fire"></i>
+      Streak: <strong>${current}</strong> ${plural(current)} · Best: ${best}
+    </p>
+    <h3>Last ${days} ${plural(days)}</h3>
+    <ul class="today-adherence">${rows}</ul>
+    ${notes ? `<h3>Recent notes</h3><ul class="today-notes">${notes}</ul>` : ""}
+  `;
+}
+
+/*
+  renderTodayPanel()
+  - Shows today's checklist for the current routine, or hides the panel
+    when there is no routine. Called when a routine is generated, opened
+    or imported.
+*/
+function renderTodayPanel() {
+  if (!todayPanel) return;
+  const steps = diarySteps();
+  if (steps.length === 0) {
+    todayPanel.hidden = true;
+    return;
+  }
+
+  const diary = loadDiary();
+  const today = diaryDay(diary, todayKey());
+  const dateText = new Date().toLocaleDateString(undefined, {
+    weekday: "long",
+    month: "short",
+    day: "numeric",
+  });
+
+  const note = escapeHtml(today.note);
+  const shared = isDiaryShared() ? "checked" : "";
+
+  todayPanel.hidden = false;
+  todayPanel.innerHTML = `
+    <h2>Today <span class="today-date">${escapeHtml(dateText)}</span></h2>
+    <div class="today-layout">
+      <div class="today-checklist">
+        ${diaryChecklistHtml(steps, today.done)}
+        <label class="today-note">
+          How is your skin today?
+          <textarea id="todayNote" rows="2" placeholder="e.g. a little dry around the nose">${note}</textarea>
+        </label>
+        <label class="profile-option today-share">
+          <input type="checkbox" id="todayShare" ${shared} />
+          Share my diary with the advisor in follow-up questions
+        </label>
+      </div>
+      <div id="todayStats" class="today-stats"></div>
+    </div>
+  `;
+  renderDiaryStats();
+}
+
+/* Record a change to today's entry and save the diary */
+function updateToday(change) {
+  const diary = loadDiary();
+  const date = todayKey();
+  const day = diaryDay(diary, date);
+  change(day);
+  diary.days[date] = day;
+  saveDiary(diary);
+}
+
+function initRoutineDiary() {
+  if (!todayPanel) return;
+
+  todayPanel.addEventListener("change", (e) => {
+    const input = e.target;
+    if (input.dataset.step) {
+      updateToday((day) => {
+        day.done = day.done.filter((k) => k !== input.dataset.step);
+        if (input.checked) day.done.push(input.dataset.step);
+      });
+      renderDiaryStats();
+    } else if (input.id === "todayShare") {
+      try {
+        localStorage.setItem(DIARY_SHARE_KEY, String(input.checked));
+      } catch (err) {
+        // ignore
+      }
+    }
+  });
+
+  // the note is saved as it is typed
+  todayPanel.addEventListener("input", (e) => {
+    if (e.target.id !== "todayNote") return;
+    updateToday((day) => (day.note = e.target.value.trim()));
+  });
+
+  // a new day may have started while the tab was in the background
+  document.addEventListener("visibilitychange", () => {
+    if (document.visibilityState === "visible" && !todayPanel.hidden) {
+      const note = document.getElementById("todayNote");
+      if (note && document.activeElement === note) return;
+      renderTodayPanel();
+    }
+  });
+}
@@ -0,0 +1,309 @@
+/*
+  Routine export
+
+  Takes the generated routine out of the chat window:
+    - Print: a print-only layout (print.css) with product images, numbered
+      steps, AM and PM side by side, weekly treatments and the sources.
+      It is also used when the user prints with Ctrl+P / Cmd+P.
+    - Text, Markdown and JSON downloads, e.g. to paste into CRM notes.
+    - Calendar reminders (.ics), see routine-calendar.js.
+
+  Every format is built from the same data (routineExportData), so they
+  always agree with each other and with the cards in the chat.
+*/
+
+/*
+  routineExportData()
+  - The current routine with full product details on each step and the
+    sources of the reply it came from. Returns null when there is no
+    routine to export.
+*/
+function routineExportData() {
+  if (!routineGenerated || !currentRoutine) return null;
+  // the routine is always the first reply of the conversation
+  const reply = conversationMessages.find((m) => m.role === "assistant");
+  const citations = (reply && reply.citations) || [];
+
+  const sections = ROUTINE_SECTIONS.map(({ key, label }) => ({
+    key,
+    label,
+    steps: currentRoutine[key].map((step) => {
+      const product = findProductById(step.productId) || {};
+      return {
+        ...step,
+        product: {
+          id: step.productId,
+          name: product.name || `Product ${step.productId}`,
+          brand: product.brand || "",
+          image: product.image || "",
+        },
+      };
+    }),
+  }));
+
+  return {
+    title: currentRoutine.title || "My routine",
+    summary: currentRoutine.summary,
+    sections,
+    citations: citations.map((c, i) => ({
+      id: Number(c.id) || i + 1,
+      title: c.title || c.url,
+      url: c.url,
+    })),
+  };
+}
+
+/* "Wait 2 min · 2x per week" */
+function stepMetaText(step) {
+  const parts = [];
+  if (step.waitMinutes > 0) parts.push(`Wait ${step.waitMinutes} min`);
+  if (step.frequency) parts.push(step.frequency);
+  return parts.join(" · ");
+}
+
+/* ---------- text formats ---------- */
+
+function routineToText(data) {
+  const lines = [data.title.toUpperCase()];
+  if (data.summary) lines.push(data.summary);
+
+  data.sections.forEach((section) => {
+    if (section.steps.length === 0) return;
+    lines.push("", section.label.toUpperCase());
+    section.steps.forEach((s) => {
+      const brand = s.product.brand ? `${s.product.brand} ` : "";
+      lines.push(`${s.step}. ${brand}${s.product.name}`);
+      lines.push(`   ${s.action}`);
+      const meta = stepMetaText(s);
+      if (meta) lines.push(`   ${meta}`);
+      if (s.rationale) lines.push(`   Why: ${s.rationale}`);
+    });
+  });
+
+  if (data.citations.length > 0) {
+    lines.push("", "SOURCES");
+    data.citations.forEach((c) =>
+      lines.push(`[${c.id}] ${c.title} - ${c.url}`)
+    );
+  }
+  return lines.join("\n") + "\n";
+}
+
+/* Markdown special characters in model text would change the formatting */
+function escapeMarkdown(text) {
+  return String(text || "").replace(/([\\`*_[\]#|<>])/g, "\\$1");
+}
+
+function routineToMarkdown(data) {
+  const lines = [`# ${escapeMarkdown(data.title)}`];
+  if (data.summary) lines.push("", escapeMarkdown(data.summary));
+
+  data.sections.forEach((section) => {
+    if (section.steps.length === 0) return;
+    lines.push("", `## ${section.label}`, "");
+    section.steps.forEach((s) => {
+      const name = escapeMarkdown(
+        `${s.product.brand} ${s.product.name}`.trim()
+      );
+      lines.push(`${s.step}. **${name}**: ${escapeMarkdown(s.action)}`);
+      const meta = stepMetaText(s);
+      if (meta) lines.push(`   - ${escapeMarkdown(meta)}`);
+      if (s.rationale) lines.push(`   - _Why:_ ${escapeMarkdown(s.rationale)}`);
+    });
+  });
+
+  if (data.citations.length > 0) {
+    lines.push("", "## Sources", "");
+    data.citations.forEach((c) =>
+      lines.push(
+        `${c.id}. [${escapeMarkdown(c.title)}](${c.url.replace(/\)/g, "%29")})`
+      )
+    );
+  }
+  return lines.join("\n") + "\n";
+}
+
+function routineToJson(data) {
+  const json = {
+    title: data.title,
+    summary: data.summary,
+    exportedAt: new Date().toISOString(),
+    citations: data.citations,
+  };
+  data.sections.forEach((section) => {
+    json[section.key] = section.steps.map((s) => ({
+      step: s.step,
+      product: {
+        id: s.product.id,
+        name: s.product.name,
+        brand: s.product.brand,
+      },
+      action: s.action,
+      waitMinutes: s.waitMinutes,
+      frequency: s.frequency,
+      rationale: s.rationale,
+    }));
+  });
+  return JSON.stringify(json, null, 2) + "\n";
+}
+
+/* ---------- downloads ---------- */
+
+const ROUTINE_EXPORT_FORMATS = {
+  text: { ext: "txt", type: "text/plain", build: routineToText },
+  markdown: { ext: "md", type: "text/markdown", build: routineToMarkdown },
+  json: { ext: "json", type: "application/json", build: routineToJson },
+};
+
+/* "Glow Routine!" -> "glow-routine" */
+function routineSlug(title) {
+  const slug = foldText(title)
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 50);
+  return slug || "routine";
+}
+
+function exportFileName(title, ext) {
+  return `${routineSlug(title)}.${ext}`;
+}
+
+/* Save text as a file through a temporary link */
+function downloadTextFile(fileName, type, text) {
+  const blob = new Blob([text], { type: `${type};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function downloadRoutine(format) {
+  const data = routineExportData();
+  const f = ROUTINE_EXPORT_FORMATS[format];
+  if (!data || !f) return;
+  downloadTextFile(exportFileName(data.title, f.ext), f.type, f.build(data));
+}
+
+/* ---------- print ---------- */
+
+function printStepHtml(s) {
+  const meta = stepMetaText(s);
+  const name = `${s.product.brand} ${s.product.name}`.trim();
+  return `
+    <li class="print-step">
+      ${
+        s.product.image
+          ? `<img src="${escapeHtml(s.product.image)}" alt="" />`
+          : ""
+      }
+      <div>
+        <strong>${s.step}. ${escapeHtml(name)}</strong>
+        <p>${escapeHtml(s.action)}</p>
+        ${meta ? `<p class="print-meta">${escapeHtml(meta)}</p>` : ""}
+        ${
+          s.rationale
+            ? `<p class="print-why">Why: ${escapeHtml(s.rationale)}</p>`
+            : ""
+        }
+      </div>
+    </li>
+  `;
+}
+
+function printSectionHtml(section) {
+  if (section.steps.length === 0) return "";
+  return `
+    <section class="print-section print-${section.key}">
+      <h2>${section.label}</h2>
+      <ol>${section.steps.map(printStepHtml).join("")}</ol>
+    </section>
+  `;
+}
+
+function printSourcesHtml(citations) {
+  if (citations.length === 0) return "";
+  const items = citations
+    .map(
+      (c) =>
+        `<li value="${c.id}">${escapeHtml(c.title)}<br /><span>${escapeHtml(
+          c.url
+        )}</span></li>`
+    )
+    .join("");
+  return `<section class="print-sources"><h2>Sources</h2><ol>${items}</ol></section>`;
+}
+
+/*
+  preparePrintRoutine()
+  - Fills the hidden print layout with the current routine. print.css only
+    switches to it while <body> has the "print-routine-ready" class, so
+    printing the page without a routine still prints the page.
+*/
+function preparePrintRoutine() {
+  let box = document.getElementById("printRoutine");
+  if (!box) {
+    box = document.createElement("div");
+    box.id = "printRoutine";
+    box.className = "print-routine";
+    document.body.appendChild(box);
+  }
+
+  const data = routineExportData();
+  document.body.classList.toggle("print-routine-ready", Boolean(data));
+  if (!data) {
+    box.innerHTML = "";
+    return;
+  }
+
+  const byKey = {};
+  data.sections.forEach((s) => (byKey[s.key] = s));
+  box.innerHTML = `
+    <h1>${escapeHtml(data.title)}</h1>
+    ${
+      data.summary
+        ? `<p class="print-summary">${escapeHtml(data.summary)}</p>`
+        : ""
+    }
+    <div class="print-columns">
+      ${printSectionHtml(byKey.am)}
+      ${printSectionHtml(byKey.pm)}
+    </div>
+    ${printSectionHtml(byKey.weekly)}
+    ${printSourcesHtml(data.citations)}
+    <p class="print-footer">Printed from the L'Oréal Smart Routine &amp; Product Advisor on ${new Date().toLocaleDateString()}</p>
+  `;
+}
+
+/* Buttons shown under a routine in the chat (see renderRoutineCards) */
+function routineExportBarHtml() {
+  return `
+    <div class="routine-export" role="group" aria-label="Export routine">
+      <button type="button" data-export="print"><i class="fa-solid fa-print"></i> Print</button>
+      <button type="button" data-export="text"><i class="fa-solid fa-file-lines"></i> Text</button>
+      <button type="button" data-export="markdown"><i class="fa-brands fa-markdown"></i> Markdown</button>
+      <button type="button" data-export="json"><i class="fa-solid fa-file-code"></i> JSON</button>
+      <button type="button" data-export="calendar"><i class="fa-regular fa-calendar-plus"></i> Calendar</button>
+    </div>
+  `;
+}
+
+document.addEventListener("click", (e) => {
+  const btn = e.target.closest(".routine-export button[data-export]");
+  if (!btn) return;
+  e.stopPropagation();
+  if (btn.dataset.export === "print") {
+    preparePrintRoutine();
+    window.print();
+  } else if (btn.dataset.export === "calendar") {
+    openCalendarDialog(btn); // routine-calendar.js
+  } else {
+    downloadRoutine(btn.dataset.export);
+  }
+});
+
+// Ctrl+P / Cmd+P uses the same layout as the Print button
+window.addEventListener("beforeprint", () => preparePrintRoutine());
@@ -0,0 +1,352 @@
+/*
+  My Routines library
+
+  Every generated routine is saved in IndexedDB (it holds much more than
+  localStorage) together with everything needed to pick it up again later:
+    {
+      id, name, createdAt, updatedAt,
+      productIds,     // selected products when the routine was generated
+      profile,        // skin & hair profile at that time (profile.js)
+      routine,        // validated routine object (routine-cards.js) or null
+      threads,        // named chat threads (chat-threads.js), each with its
+                      // own messages and rolling summary; assistant messages
+                      // keep their sources in `citations`
+      activeThreadId  // thread that was open last
+    }
+
+  Routines saved before threads existed have a single `conversation` and
+  `memory` instead; they are read as one "Main" thread.
+
+  The "My Routines" panel lets the user rename, duplicate, delete and reopen
+  a routine. Reopening restores the product selection and the chat so
+  follow-up questions continue where they left off.
+*/
+
+const ROUTINE_DB_NAME = "lorealRoutineBuilder";
+const ROUTINE_DB_VERSION = 1;
+const ROUTINE_STORE = "routines";
+
+let routineDbPromise = null;
+let activeRoutineId = null; // saved routine the current chat belongs to
+
+/* Open (and create on first use) the IndexedDB database */
+function openRoutineDb() {
+  if (routineDbPromise) return routineDbPromise;
+  routineDbPromise = new Promise((resolve, reject) => {
+    if (!window.indexedDB) {
+      reject(new Error("IndexedDB is not available in this browser"));
+      return;
+    }
+    const request = indexedDB.open(ROUTINE_DB_NAME, ROUTINE_DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(ROUTINE_STORE)) {
+        db.createObjectStore(ROUTINE_STORE, { keyPath: "id" });
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+  return routineDbPromise;
+}
+
+/* Run one request against the routines store and wait for its result */
+async function routineStoreRequest(mode, makeRequest) {
+  const db = await openRoutineDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(ROUTINE_STORE, mode);
+    const request = makeRequest(tx.objectStore(ROUTINE_STORE));
+    tx.oncomplete = () => resolve(request.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+async function getAllSavedRoutines() {
+  const all = await routineStoreRequest("readonly", (store) => store.getAll());
+  // newest first
+  return (all || []).sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+function getSavedRoutine(id) {
+  return routineStoreRequest("readonly", (store) => store.get(id));
+}
+
+function putSavedRoutine(record) {
+  return routineStoreRequest("readwrite", (store) => store.put(record));
+}
+
+function deleteSavedRoutine(id) {
+  return routineStoreRequest("readwrite", (store) => store.delete(id));
+}
+
+function makeRoutineId() {
+  return `r-${Date.now().toString(36)}-${Math.random()
+    .toString(36)
+    .slice(2, 8)}`;
+}
+
+function defaultRoutineName(routine) {
+  if (routine && routine.title) return routine.title;
+  return `Routine – ${new Date().toLocaleDateString()}`;
+}
+
+/*
+  saveGeneratedRoutine()
+  - Called right after "Generate Routine" succeeds. Stores a new record and
+    makes it the active one so follow-ups are saved into it.
+*/
+async function saveGeneratedRoutine() {
+  const now = Date.now();
+  // a new routine starts with one thread holding the routine discussion
+  startThreads(conversationMessages);
+  const record = {
+    id: makeRoutineId(),
+    name: defaultRoutineName(currentRoutine),
+    createdAt: now,
+    updatedAt: now,
+    productIds: selectedProducts.map((p) => p.id),
+    profile: userProfile,
+    routine: currentRoutine,
+    threads: chatThreads,
+    activeThreadId,
+  };
+  // until the save succeeds, follow-ups must not go into the previous routine
+  activeRoutineId = null;
+  try {
+    await putSavedRoutine(record);
+    activeRoutineId = record.id;
+    renderRoutineLibrary();
+  } catch (err) {
+    debugLog("Could not save routine:", err);
+  }
+  // today's checklist for the new routine (routine-diary.js)
+  renderTodayPanel();
+}
+
+/*
+  saveImportedRoutine(shared)
+  - Stores a routine opened from a share link (share.js). Its "Main" thread
+    is rebuilt as if the routine had been generated here: system prompt,
+    routine prompt with the product JSON, then the routine as the reply.
+  - Returns the new record id.
+*/
+async function saveImportedRoutine(shared) {
+  const now = Date.now();
+  const main = makeThread("Main", [
+    systemInstruction,
+    {
+      role: "user",
+      content: buildRoutinePrompt(shared.products, shared.profile),
+    },
+    {
+      role: "assistant",
+      content: JSON.stringify(shared.routine),
+      citations: [],
+    },
+  ]);
+  const record = {
+    id: makeRoutineId(),
+    name: shared.name || defaultRoutineName(shared.routine),
+    createdAt: now,
+    updatedAt: now,
+    productIds: shared.products.map((p) => p.id),
+    profile: shared.profile,
+    routine: shared.routine,
+    threads: [main],
+    activeThreadId: main.id,
+  };
+  await putSavedRoutine(record);
+  return record.id;
+}
+
+/* Save the chat threads (and their follow-ups) into the active routine */
+async function updateActiveRoutineConversation() {
+  if (!activeRoutineId || chatThreads.length === 0) return;
+  syncActiveThread();
+  renderThreadBar(); // question counts in the switcher
+  try {
+    const record = await getSavedRoutine(activeRoutineId);
+    if (!record) return;
+    record.threads = chatThreads;
+    record.activeThreadId = activeThreadId;
+    // the older single-thread format, now kept in the threads
+    delete record.conversation;
+    delete record.memory;
+    record.updatedAt = Date.now();
+    await putSavedRoutine(record);
+    renderRoutineLibrary();
+  } catch (err) {
+    debugLog("Could not update saved routine:", err);
+  }
+}
+
+/*
+  renderConversation(messages)
+  - Redraws the chat window from a saved conversation. The first user message
+    (the generated routine prompt with the product JSON) is not shown, just
+    like when the routine was generated.
+*/
+function renderConversation(messages) {
+  if (!chatWindow) return;
+  chatWindow.innerHTML = "";
+  const allowedIds = selectedProducts.map((p) => p.id);
+  let skippedPrompt = false;
+
+  messages.forEach((m) => {
+    if (m.role === "system") return;
+    if (m.role === "user" && !skippedPrompt) {
+      skippedPrompt = true;
+      return;
+    }
+
+    if (m.role === "assistant") {
+      const check = validateRoutine(parseRoutineReply(m.content), allowedIds);
+      const el = check.ok
+        ? renderRoutineCards(check.routine)
+        : appendMessageToChat("assistant", m.content);
+      showReplyCitations(el, m.citations);
+      // the disclaimer card, if the reply had one (medical-safety.js)
+      appendSafetyCardToChat(
+        buildSafetyNotice(m.safetyTopics, selectedProducts)
+      );
+    } else {
+      appendMessageToChat("user", m.content);
+    }
+  });
+}
+
+/* Reopen a saved routine: restore the product selection and the chat */
+async function openSavedRoutine(id) {
+  const record = await getSavedRoutine(id);
+  if (!record) return;
+
+  selectedProducts = allProducts.filter((p) =>
+    record.productIds.includes(p.id)
+  );
+  updateSelectedList();
+  updateProductGrid();
+
+  // restores conversationMessages, its memory and routineGenerated
+  openThreads(record);
+  currentRoutine = record.routine || null;
+  activeRoutineId = record.id;
+
+  renderConversation(conversationMessages);
+  renderRoutineLibrary();
+  renderTodayPanel();
+  if (chatWindow) chatWindow.scrollIntoView({ behavior: "smooth" });
+}
+
+async function renameSavedRoutine(id) {
+  const record = await getSavedRoutine(id);
+  if (!record) return;
+  const name = prompt("Rename routine", record.name);
+  if (!name || !name.trim()) return;
+  record.name = name.trim();
+  record.updatedAt = Date.now();
+  await putSavedRoutine(record);
+  renderRoutineLibrary();
+}
+
+async function duplicateSavedRoutine(id) {
+  const record = await getSavedRoutine(id);
+  if (!record) return;
+  const now = Date.now();
+  await putSavedRoutine({
+    ...record,
+    id: makeRoutineId(),
+    name: `${record.name} (copy)`,
+    createdAt: now,
+    updatedAt: now,
+  });
+  renderRoutineLibrary();
+}
+
+async function removeSavedRoutine(id) {
+  const record = await getSavedRoutine(id);
+  if (!record) return;
+  if (!confirm(`Delete "${record.name}"?`)) return;
+  await deleteSavedRoutine(id);
+  deleteRoutineDiary(id);
+  if (activeRoutineId === id) {
+    activeRoutineId = null;
+    clearThreads();
+    renderTodayPanel();
+  }
+  renderRoutineLibrary();
+}
+
+/* "3 products · 2 threads · 10/19/2026, 9:30 AM" */
+function savedRoutineDetails(r) {
+  const products = r.productIds.length;
+  const threads = (r.threads || []).length || 1;
+  return [
+    `${products} product${products === 1 ? "" : "s"}`,
+    `${threads} thread${threads === 1 ? "" : "s"}`,
+    new Date(r.updatedAt).toLocaleString(),
+  ].join(" · ");
+}
+
+/* Draw the My Routines list */
+async function renderRoutineLibrary() {
+  const list = document.getElementById("routineLibraryList");
+  if (!list) return;
+
+  let routines = [];
+  try {
+    routines = await getAllSavedRoutines();
+  } catch (err) {
+    list.innerHTML = `<div class="placeholder-message">Saved routines are not available in this browser.</div>`;
+    return;
+  }
+
+  if (routines.length === 0) {
+    list.innerHTML = `<div class="placeholder-message">Generated routines will be saved here.</div>`;
+    return;
+  }
+
+  list.innerHTML = routines
+    .map(
+      (r) => `
+    <div class="saved-routine ${
+      r.id === activeRoutineId ? "active" : ""
+    }" data-id="${r.id}">
+      <div class="saved-routine-info">
+        <strong>${escapeHtml(r.name)}</strong>
+        <span>${savedRoutineDetails(r)}</span>
+      </div>
+      <div class="saved-routine-actions">
+        <button data-action="open" title="Open"><i class="fa-solid fa-folder-open"></i><span class="visually-hidden">Open</span></button>
+        <button data-action="rename" title="Rename"><i class="fa-solid fa-pen"></i><span class="visually-hidden">Rename</span></button>
+        <button data-action="duplicate" title="Duplicate"><i class="fa-solid fa-copy"></i><span class="visually-hidden">Duplicate</span></button>
+        <button data-action="delete" title="Delete"><i class="fa-solid fa-trash"></i><span class="visually-hidden">Delete</span></button>
+      </div>
+    </div>
+  `
+    )
+    .join("");
+}
+
+/* One click handler for all the buttons in the list */
+function initRoutineLibrary() {
+  const list = document.getElementById("routineLibraryList");
+  if (!list) return;
+
+  list.addEventListener("click", async (e) => {
+    const btn = e.target.closest("button[data-action]");
+    if (!btn) return;
+    const id = btn.closest(".saved-routine").dataset.id;
+    try {
+      if (btn.dataset.action === "open") await openSavedRoutine(id);
+      else if (btn.dataset.action === "rename") await renameSavedRoutine(id);
+      else if (btn.dataset.action === "duplicate")
+        await duplicateSavedRoutine(id);
+      else if (btn.dataset.action === "delete") await removeSavedRoutine(id);
+    } catch (err) {
+      debugLog("Saved routine action failed:", err);
+    }
+  });
+
+  renderRoutineLibrary();
+}
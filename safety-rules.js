@@ -0,0 +1,142 @@
+/*
+  Medical safety rules
+
+  The rules behind the medical safety layer (medical-safety.js), kept apart
+  from any page code so they can be tested on their own (test/ loads this
+  file with ingredient-checker.js) and tried in the browser console:
+    - SAFETY_TOPICS: conditions and medicines to look for, the actives
+      (ingredient-checker.js groups) to avoid with each, and short advice
+    - detectSafetyTopics(text): which topics a question (or the profile
+      text in a routine prompt) mentions, e.g.
+      detectSafetyTopics("I'm pregnant, can I use retinol?")
+    - buildSafetyNotice(topicIds, products): the topics plus the selected
+      products whose actives should be left out
+    - describeSafetyForPrompt(notice): the same as plain-text rules for the AI
+
+  Uses getProductActives and ACTIVE_GROUPS from ingredient-checker.js.
+*/
+
+const ALL_STRONG_ACTIVES = [
+  "retinoid",
+  "aha",
+  "bha",
+  "vitaminC",
+  "benzoylPeroxide",
+];
+
+// checked in this order; a question can match several topics
+const SAFETY_TOPICS = [
+  {
+    id: "skinReaction",
+    label: "A rash or skin reaction",
+    pattern:
+      /\brash(es)?\b|\bhives\b|\bblisters?\b|\boozing\b|\bswollen\b|\bswelling\b|\binfect(ed|ion)\b|\ballergic reaction\b|\bchemical burn\b|\bbleeding\b|\b(new|changing|changed) mole\b/i,
+    avoid: ALL_STRONG_ACTIVES,
+    advice:
+      "Stop using active products on the affected skin and see a dermatologist or doctor, straight away if it is spreading, painful or you feel unwell.",
+  },
+  {
+    id: "isotretinoin",
+    label: "Oral acne medication (isotretinoin)",
+    pattern: /\bisotretinoin\b|\b(ro)?accutane\b|\babsorica\b|\bclaravis\b/i,
+    avoid: ALL_STRONG_ACTIVES,
+    advice:
+      "Isotretinoin makes skin dry and fragile: keep to a gentle cleanser, moisturizer and SPF, and skip retinoids, acids and other strong actives unless your dermatologist says otherwise.",
+  },
+  {
+    id: "prescriptionTopical",
+    label: "A prescription skin treatment",
+    pattern:
+      /\btretinoin\b|\bretin-?a\b|\bdifferin\b|\btazarotene\b|\bclindamycin\b|\bhydroquinone\b|\bhydrocortisone\b|\b(steroid|cortisone) cream\b|\bprescri(bed|ption)\b/i,
+    avoid: ["retinoid", "aha", "bha"],
+    advice:
+      "Prescription creams are already strong: don't add retinoids or exfoliating acids on top without asking the doctor who prescribed them.",
+  },
+  {
+    id: "oralMedication",
+    label: "Medication",
+    pattern:
+      /\bantibiotics?\b|\bdoxycycline\b|\bminocycline\b|\bspironolactone\b|\bbirth control\b|\bmedications?\b|\bmedicines?\b/i,
+    avoid: [],
+    advice:
+      "Some medicines (like doxycycline) make skin more sensitive to the sun or react with skincare. Ask your doctor or pharmacist, and wear SPF every day.",
+  },
+  {
+    id: "pregnancy",
+    label: "Pregnancy or breastfeeding",
+    pattern:
+      /\bpregnan\w*|\bbreast-?feeding\b|\bnursing\b|\btrying to conceive\b/i,
+    avoid: ["retinoid"],
+    advice:
+      "Retinoids (retinol, retinal, adapalene) are usually avoided while pregnant or breastfeeding. Check other actives with your doctor or midwife.",
+  },
+  {
+    id: "eczema",
+    label: "Eczema, dermatitis or psoriasis",
+    pattern: /\beczema\b|\bdermatitis\b|\bpsoriasis\b/i,
+    avoid: ["retinoid", "aha", "bha"],
+    advice:
+      "Skin with eczema or psoriasis is easily irritated: choose fragrance-free, barrier-repairing products and leave out exfoliating acids and retinoids during a flare.",
+  },
+  {
+    id: "rosacea",
+    label: "Rosacea",
+    pattern: /\brosacea\b/i,
+    avoid: ["retinoid", "aha", "bha", "benzoylPeroxide"],
+    advice:
+      "Rosacea is easily triggered: use gentle, fragrance-free products and a daily SPF, and avoid exfoliating acids, retinoids and benzoyl peroxide unless a dermatologist recommends them.",
+  },
+];
+
+/* The SAFETY_TOPICS entries for a list of ids (unknown ids are skipped) */
+function safetyTopicsById(ids) {
+  return SAFETY_TOPICS.filter((t) => (ids || []).includes(t.id));
+}
+
+/* Ids of the topics `text` mentions, e.g. ["pregnancy"] */
+function detectSafetyTopics(text) {
+  const value = String(text || "");
+  return SAFETY_TOPICS.filter((t) => t.pattern.test(value)).map((t) => t.id);
+}
+
+/*
+  buildSafetyNotice(topicIds, products)
+  - Returns null when there are no topics, otherwise
+    { topics, flagged } where flagged lists the products to leave out and
+    why: [{ product, actives: ["Retinoid"] }]
+*/
+function buildSafetyNotice(topicIds, products) {
+  const topics = safetyTopicsById(topicIds);
+  if (topics.length === 0) return null;
+
+  const flagged = [];
+  (products || []).forEach((product) => {
+    const actives = getProductActives(product);
+    const hits = topics.filter((t) => t.avoid.some((a) => actives.includes(a)));
+    if (hits.length === 0) return;
+    const avoided = actives.filter((a) =>
+      hits.some((t) => t.avoid.includes(a))
+    );
+    flagged.push({
+      product,
+      actives: avoided.map((a) => ACTIVE_GROUPS[a].label),
+    });
+  });
+  return { topics, flagged };
+}
+
+/* Plain-text rules for the AI, used in the routine prompt and follow-ups */
+function describeSafetyForPrompt(notice) {
+  if (!notice) return "";
+  const lines = notice.topics.map((t) => `- ${t.label}: ${t.advice}`);
+  notice.flagged.forEach((f) => {
+    const name = `${f.product.name} (id ${f.product.id})`;
+    lines.push(
+      `- Do not recommend ${name} for now: it contains ${f.actives.join(", ")}.`
+    );
+  });
+  lines.push(
+    "- You are not a doctor: give general care tips only, don't name conditions or advise on medicines, and suggest seeing a dermatologist."
+  );
+  return lines.join("\n");
+}
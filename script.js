@@ -1,5 +1,4 @@
 /* Get references to DOM elements */
-const categoryFilter = document.getElementById("categoryFilter");
 const productSearch = document.getElementById("productSearch");
 const productsContainer = document.getElementById("productsContainer");
 const chatForm = document.getElementById("chatForm");
@@ -71,13 +70,25 @@ function observeLangAttributeChanges() {
 /* Conversation state for chat follow-ups */
 let conversationMessages = [];
 let routineGenerated = false; // set to true once the initial routine is produced
+let currentRoutine = null; // validated routine object (see routine-cards.js)
 
+/*
+  The worker has its own rules (search-proxy-worker.js, "policy") and only
+  passes this on as context. It still matters for the direct OpenAI
+  fallback, which has no worker in between.
+*/
 const systemInstruction = {
   role: "system",
   content:
-    "You are a helpful skincare, haircare, makeup, and fragrance assistant. Only answer questions related to the provided routine or to topics like skincare, haircare, makeup, fragrance, and related product advice. Use up-to-date, real-world information when available and include links and short citations for any factual claims about current products, releases, or formulations. If the user asks about unrelated topics, politely decline and steer them back to the subject.",
+    "You are a helpful skincare, haircare, makeup, and fragrance assistant. Only answer questions related to the provided routine or to topics like skincare, haircare, makeup, fragrance, and related product advice. Use up-to-date, real-world information when available and cite the numbered web sources you are given inline, like [1], for any factual claims about current products, releases, or formulations. If the user asks about unrelated topics, politely decline and steer them back to the subject.",
 };
 
+/* Assistant replies are rendered as markdown (markdown.js); user text is shown as typed */
+function messageBodyHtml(role, content) {
+  if (role === "user") return escapeHtml(content).replace(/\n/g, "<br>");
+  return renderMarkdown(content);
+}
+
 function appendMessageToChat(role, content) {
   if (!chatWindow) return;
   const wrapper = document.createElement("div");
@@ -85,62 +96,268 @@ function appendMessageToChat(role, content) {
     role === "user" ? "chat-msg user-msg" : "chat-msg assistant-msg";
   wrapper.innerHTML = `<div class="msg-role">${
     role === "user" ? "You" : "Advisor"
-  }</div><div class="msg-body">${escapeHtml(content).replace(
-    /\n/g,
-    "<br>"
-  )}</div>`;
+  }</div><div class="msg-body">${messageBodyHtml(role, content)}</div>`;
   chatWindow.appendChild(wrapper);
   // keep the latest message visible
   chatWindow.scrollTop = chatWindow.scrollHeight;
+  return wrapper;
+}
+
+/* Replace the text of an existing chat bubble (used while a reply streams in) */
+function setMessageText(wrapper, content) {
+  const body = wrapper && wrapper.querySelector(".msg-body");
+  if (!body) return;
+  const role = wrapper.classList.contains("user-msg") ? "user" : "assistant";
+  body.innerHTML = messageBodyHtml(role, content);
+  chatWindow.scrollTop = chatWindow.scrollHeight;
+}
+
+/*
+  readEventStream(resp, onEvent)
+  - Reads a server-sent events response body chunk by chunk.
+  - Calls onEvent(eventName, data) for every complete event. `data` is parsed
+    JSON when possible. Events without a name are reported as "message".
+*/
+async function readEventStream(resp, onEvent) {
+  const reader = resp.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    // events are separated by a blank line; keep any partial event for later
+    const events = buffer.split("\n\n");
+    buffer = events.pop();
+
+    for (const evt of events) {
+      let eventName = "message";
+      const dataLines = [];
+      evt.split("\n").forEach((line) => {
+        if (line.startsWith("event:")) eventName = line.slice(6).trim();
+        else if (line.startsWith("data:")) dataLines.push(line.slice(5).trim());
+      });
+      const raw = dataLines.join("\n");
+      if (!raw || raw === "[DONE]") continue;
+
+      let data = raw;
+      try {
+        data = JSON.parse(raw);
+      } catch (e) {
+        // keep plain text data as-is
+      }
+      onEvent(eventName, data);
+    }
+  }
+}
+
+/* Client side of the worker's v1 API contract (see search-proxy-worker.js) */
+const WORKER_API_VERSION = "v1";
+
+/* Build an Error from a v1 error envelope ({ ok: false, error: { code, message } }) */
+function workerError(error, status) {
+  const err = new Error((error && error.message) || "Request failed");
+  err.code = (error && error.code) || "internal_error";
+  if (status) err.status = status;
+  return err;
+}
+
+/*
+  readStreamedReply(resp, onToken)
+  - Turns a streaming response into the same { reply, web_results } shape that
+    callOpenAIWithMessages returns, calling onToken(token, textSoFar) as text
+    arrives.
+  - Understands the worker's v1 events (citations / delta / done / error) and
+    OpenAI chat-completions chunks (choices[0].delta.content).
+  - If the request is aborted (Stop button) the partial text is returned with
+    `aborted: true` instead of throwing.
+*/
+async function readStreamedReply(resp, onToken) {
+  let reply = "";
+  let webResults = [];
+
+  const addToken = (token) => {
+    if (!token) return;
+    reply += token;
+    onToken(token, reply);
+  };
+
+  try {
+    await readEventStream(resp, (event, data) => {
+      if (event === "error") {
+        throw workerError(data);
+      } else if (event === "delta") {
+        addToken(data && data.text);
+      } else if (event === "citations" || event === "done") {
+        if (data && Array.isArray(data.citations)) webResults = data.citations;
+        if (event === "done" && data && typeof data.reply === "string")
+          reply = data.reply;
+      } else if (
+        data &&
+        data.choices &&
+        data.choices[0] &&
+        data.choices[0].delta
+      ) {
+        addToken(data.choices[0].delta.content);
+      }
+    });
+  } catch (err) {
+    if (err.name === "AbortError") {
+      return { reply, web_results: webResults, aborted: true };
+    }
+    throw err;
+  }
+
+  return { reply, web_results: webResults };
+}
+
+/* Turn a string, a single message or an array into a messages array */
+function toMessagesArray(messages) {
+  if (typeof messages === "string") {
+    return [{ role: "user", content: messages }];
+  } else if (Array.isArray(messages)) {
+    // send only role + content (assistant messages also carry `citations`)
+    return messages.map((m) => ({ role: m.role, content: m.content }));
+  } else if (messages && typeof messages === "object") {
+    // try to convert an object with `content` into a single message
+    return [
+      {
+        role: messages.role || "user",
+        content: messages.content || String(messages),
+      },
+    ];
+  }
+  return [{ role: "user", content: String(messages || "") }];
 }
 
-async function callOpenAIWithMessages(messages) {
-  // prefer proxy worker (Cloudflare worker). Support several global names.
-  const proxyUrl =
+/* Base URL of the proxy worker. Supports several global names. */
+function workerBaseUrl() {
+  const url =
     window.CF_WORKER_URL ||
     window.CLOUDFLARE_WORKER_URL ||
     window.SEARCH_WORKER_URL ||
     window.SEARCH_PROXY_URL ||
     window.OPENAI_PROXY_URL ||
     "https://lorealroutinebuilder.sherreo99.workers.dev";
+  return url.replace(/\/$/, "");
+}
+
+/*
+  workerHeaders()
+  - Headers for worker requests. X-Session-Id is a random id for this tab
+    (kept in sessionStorage); the worker rate limits per session and per IP.
+*/
+function workerHeaders() {
+  let sessionId = null;
+  try {
+    sessionId = sessionStorage.getItem("workerSessionId");
+    if (!sessionId) {
+      const random = Math.random().toString(36).slice(2);
+      sessionId = `s-${Date.now().toString(36)}-${random}`;
+      sessionStorage.setItem("workerSessionId", sessionId);
+    }
+  } catch (e) {
+    // ignore
+  }
+  const headers = { "Content-Type": "application/json" };
+  if (sessionId) headers["X-Session-Id"] = sessionId;
+  return headers;
+}
+
+/*
+  callOpenAIWithMessages(messages, options)
+  - options.route: "chat" (default) or "routine" — the worker's v1 route.
+  - options.products: [{ id, name, brand }] for the "routine" route; the worker
+    searches the web for these products.
+  - options.onToken(token, textSoFar): when given, the reply is streamed and
+    this is called for every chunk of text as it arrives.
+  - options.signal: an AbortController signal used by the Stop button.
+  - Requests time out and are retried on 429/5xx (fetchWithRetry in
+    network.js); errors carry `status` and `code` for friendlyErrorMessage.
+  - Returns { reply, web_results } (plus `aborted: true` when stopped).
+*/
+async function callOpenAIWithMessages(messages, options = {}) {
+  const onToken =
+    typeof options.onToken === "function" ? options.onToken : null;
+
+  // prefer proxy worker (Cloudflare worker)
+  const proxyUrl = workerBaseUrl();
 
-  let resp;
   if (proxyUrl) {
-    // call worker — send the full `messages` array (or wrap a single string)
-    // so the worker can forward to OpenAI. This matches the provided worker
-    // script which expects `userInput.messages`.
-    const endpoint = proxyUrl.replace(/\/$/, "");
-
-    let payloadMessages = [];
-    if (typeof messages === "string") {
-      payloadMessages = [{ role: "user", content: messages }];
-    } else if (Array.isArray(messages)) {
-      payloadMessages = messages;
-    } else if (messages && typeof messages === "object") {
-      // try to convert an object with `content` into a single message
-      payloadMessages = [
+    const route = options.route === "routine" ? "routine" : "chat";
+    const endpoint = `${proxyUrl}/${WORKER_API_VERSION}/${route}`;
+
+    const payload = {
+      messages: toMessagesArray(messages),
+      stream: Boolean(onToken),
+    };
+    if (route === "routine") payload.products = options.products || [];
+
+    // the routine route searches the web before it starts answering
+    const timeoutMs =
+      route === "routine" ? REQUEST_TIMEOUT_MS * 2 : REQUEST_TIMEOUT_MS;
+    const resp = await fetchWithRetry(
+      endpoint,
+      {
+        method: "POST",
+        headers: workerHeaders(),
+        body: JSON.stringify(payload),
+        signal: options.signal,
+      },
+      { timeoutMs }
+    );
+
+    // "HIT" when the worker answered from its cache, with the age in seconds
+    const cache = {
+      status: resp.headers.get("x-cache") || "",
+      age: Number(resp.headers.get("age")) || 0,
+    };
+
+    const contentType = resp.headers.get("content-type") || "";
+    if (resp.ok && contentType.includes("text/event-stream")) {
+      const streamed = await readStreamedReply(resp, onToken || (() => {}));
+      return { ...streamed, cache };
+    }
+
+    let data = null;
+    try {
+      data = await resp.json();
+    } catch (e) {
+      throw workerError(
         {
-          role: messages.role || "user",
-          content: messages.content || String(messages),
+          code: "bad_response",
+          message: `Worker returned an unreadable response (${resp.status})`,
         },
-      ];
-    } else {
-      payloadMessages = [{ role: "user", content: String(messages || "") }];
+        resp.status
+      );
     }
 
-    resp = await fetch(endpoint, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ messages: payloadMessages }),
+    if (!data || data.ok !== true) {
+      const err = workerError(data && data.error, resp.status);
+      // seconds to wait after a 429 (rate_limited)
+      err.retryAfter = Number(resp.headers.get("retry-after")) || 0;
+      throw err;
+    }
+    return {
+      reply: data.data.reply || "",
+      web_results: data.data.citations || [],
+      cache,
+    };
+  }
+
+  const apiKey = window.OPENAI_API_KEY || window.OPENAIKEY || null;
+  if (!apiKey)
+    throw workerError({
+      code: "no_api_key",
+      message:
+        "No OpenAI API key found. Provide a worker URL or window.OPENAI_API_KEY.",
     });
-  } else {
-    const apiKey = window.OPENAI_API_KEY || window.OPENAIKEY || null;
-    if (!apiKey)
-      throw new Error(
-        "No OpenAI API key found. Provide a worker URL or window.OPENAI_API_KEY."
-      );
 
-    resp = await fetch("https://api.openai.com/v1/chat/completions", {
+  const resp = await fetchWithRetry(
+    "https://api.openai.com/v1/chat/completions",
+    {
       method: "POST",
       headers: {
         "Content-Type": "application/json",
@@ -148,60 +365,41 @@ async function callOpenAIWithMessages(messages) {
       },
       body: JSON.stringify({
         model: "gpt-4o",
-        messages,
+        messages: toMessagesArray(messages),
         max_tokens: 700,
         temperature: 0.7,
+        stream: Boolean(onToken),
       }),
-    });
-  }
+      signal: options.signal,
+    }
+  );
 
   if (!resp.ok) {
-    const txt = await resp.text();
-    throw new Error(`OpenAI API error: ${resp.status} - ${txt}`);
-  }
-
-  const data = await resp.json();
-
-  // If using the proxy worker it may return { reply: string } or a raw
-  // OpenAI chat-completions object (choices[].message)
-  if (data && data.reply) {
-    return { reply: data.reply, web_results: data.web_results || [] };
-  }
-
-  // If worker returned an OpenAI-style chat completions response (choices[].message)
-  if (
-    data &&
-    data.choices &&
-    Array.isArray(data.choices) &&
-    data.choices[0] &&
-    data.choices[0].message
-  ) {
-    const content = data.choices[0].message.content || "";
-    return { reply: content, web_results: data.web_results || [] };
+    // the details go to debugLog(); the chat shows a friendly message instead
+    debugLog("OpenAI API error:", resp.status, await resp.text());
+    throw workerError(
+      { code: "upstream_error", message: `OpenAI API error (${resp.status})` },
+      resp.status
+    );
   }
 
-  // If worker wrapped an `openai` field (older pattern), extract from it
-  if (
-    data &&
-    data.openai &&
-    data.openai.choices &&
-    Array.isArray(data.openai.choices) &&
-    data.openai.choices[0] &&
-    data.openai.choices[0].message
-  ) {
-    const content = data.openai.choices[0].message.content || "";
-    return { reply: content, web_results: data.web_results || [] };
-  }
+  if (onToken) return readStreamedReply(resp, onToken);
 
-  // fallback: return raw data as string
-  return { reply: JSON.stringify(data, null, 2), web_results: [] };
+  const data = await resp.json();
+  const content =
+    data && data.choices && data.choices[0] && data.choices[0].message
+      ? data.choices[0].message.content || ""
+      : "";
+  return { reply: content, web_results: [] };
 }
 
 /*
   performWebSearch(query)
-  - Attempts to call a web-search proxy to retrieve current results.
-  - The client must set window.SEARCH_PROXY_URL to a server-side endpoint that performs the web search (to avoid exposing search API keys).
-  - The proxy should accept { q } and return { results: [{ title, snippet, url }] } or a raw array.
+  - Calls the worker's POST /v1/search route to retrieve current results, so
+    search API keys stay on the server.
+  - Uses window.SEARCH_PROXY_URL (or the other worker URL globals).
+  - Returns [{ title, snippet, url }], or [] when no worker is set or the
+    search fails.
 */
 async function performWebSearch(query) {
   try {
@@ -213,44 +411,44 @@ async function performWebSearch(query) {
       null;
     if (!proxy) return [];
 
-    const endpoint = proxy.replace(/\/$/, "") + "/search";
-    const r = await fetch(endpoint, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ q: query }),
-    });
-    if (!r.ok) return [];
+    const endpoint = `${proxy.replace(/\/$/, "")}/${WORKER_API_VERSION}/search`;
+    const r = await fetchWithRetry(
+      endpoint,
+      {
+        method: "POST",
+        headers: workerHeaders(),
+        body: JSON.stringify({ query }),
+      },
+      { retries: 1 }
+    );
     const j = await r.json();
-    // worker returns { results: [...] }
-    if (Array.isArray(j)) return j;
-    if (Array.isArray(j.results)) return j.results;
-    return [];
+    return j && j.ok === true && Array.isArray(j.data.results)
+      ? j.data.results
+      : [];
   } catch (err) {
     return [];
   }
 }
 
-function appendCitationsToChat(results) {
-  if (!chatWindow || !results || results.length === 0) return;
-  const cont = document.createElement("div");
-  cont.className = "chat-citations";
-  cont.innerHTML =
-    `<div class="citations-title">Sources:</div>` +
-    results
-      .slice(0, 5)
-      .map(
-        (r) =>
-          `<div class="citation-item"><a href="${
-            r.url
-          }" target="_blank" rel="noopener noreferrer">${escapeHtml(
-            r.title || r.url
-          )}</a><div class="citation-snippet">${escapeHtml(
-            r.snippet || ""
-          ).slice(0, 200)}</div></div>`
-      )
-      .join("");
-  chatWindow.appendChild(cont);
-  chatWindow.scrollTop = chatWindow.scrollHeight;
+/* Stop button: aborts the reply that is currently streaming in */
+const stopBtn = document.getElementById("stopBtn");
+let activeReplyController = null;
+
+function beginStreamingReply() {
+  activeReplyController = new AbortController();
+  if (stopBtn) stopBtn.hidden = false;
+  return activeReplyController;
+}
+
+function endStreamingReply() {
+  activeReplyController = null;
+  if (stopBtn) stopBtn.hidden = true;
+}
+
+if (stopBtn) {
+  stopBtn.addEventListener("click", () => {
+    if (activeReplyController) activeReplyController.abort();
+  });
 }
 
 /* Show initial placeholder until user selects a category */
@@ -262,47 +460,108 @@ productsContainer.innerHTML = `
 
 /* Load product data from JSON file */
 async function loadProducts() {
-  const response = await fetch("products.json");
+  const response = await fetchWithRetry("products.json");
+  if (!response.ok) {
+    throw workerError(
+      { code: "products_unavailable", message: "Could not load products" },
+      response.status
+    );
+  }
   const data = await response.json();
   return data.products;
 }
 
+/* Shown in the product grid when products.json could not be loaded */
+function showProductsLoadError(err, retry) {
+  debugLog("Loading products failed:", err);
+  const message = isOffline()
+    ? "You're offline, so the products can't be loaded."
+    : "The products couldn't be loaded.";
+  productsContainer.innerHTML = `
+    <div class="placeholder-message load-error">
+      <p>${message}</p>
+      <button type="button" class="retry-btn"><i class="fa-solid fa-rotate-right"></i> Retry</button>
+    </div>
+  `;
+  const retryBtn = productsContainer.querySelector(".retry-btn");
+  retryBtn.addEventListener("click", () => {
+    productsContainer.innerHTML = `<div class="placeholder-message">Loading products…</div>`;
+    retry();
+  });
+}
+
 /* Create HTML for displaying product cards */
 let selectedProducts = [];
 let productsById = {};
 let allProducts = [];
 
-function displayProducts(products) {
+/*
+  displayProducts(products, matches)
+  - matches: optional search results from searchProducts(). When given, the
+    products are already in relevance order and the matched words are
+    highlighted in the titles.
+*/
+function displayProducts(products, matches) {
   // build a quick id -> product map so listeners can access product info later
   productsById = {};
   products.forEach((p) => (productsById[p.id] = p));
 
-  // helper: highlight occurrences of the search term inside a text (case-insensitive)
-  function highlightMatch(text, term) {
-    if (!term) return escapeHtml(text);
-    const lower = text.toLowerCase();
-    const t = term.toLowerCase();
-    let idx = 0;
+  // helper: highlight occurrences of the search terms inside a text. Matching
+  // ignores case and accents, so "lancome" highlights "Lancôme".
+  function highlightMatch(text, terms) {
+    const words = (Array.isArray(terms) ? terms : [terms])
+      .map((t) => foldText(t).trim())
+      .filter(Boolean);
+    if (words.length === 0) return escapeHtml(text);
+
+    // fold one character at a time so positions line up with `text`
+    const folded = text
+      .split("")
+      .map((ch) => {
+        const f = foldText(ch);
+        return f.length === 1 ? f : ch.toLowerCase();
+      })
+      .join("");
+
+    // mark every character covered by a term
+    const marked = new Array(text.length).fill(false);
+    words.forEach((t) => {
+      let idx = folded.indexOf(t);
+      while (idx !== -1) {
+        for (let i = idx; i < idx + t.length; i++) marked[i] = true;
+        idx = folded.indexOf(t, idx + t.length);
+      }
+    });
+
     let out = "";
     let pos = 0;
-    while ((idx = lower.indexOf(t, pos)) !== -1) {
-      out += escapeHtml(text.slice(pos, idx));
-      out += `<mark class="search-hit">${escapeHtml(
-        text.slice(idx, idx + t.length)
-      )}</mark>`;
-      pos = idx + t.length;
+    while (pos < text.length) {
+      let end = pos;
+      while (end < text.length && marked[end] === marked[pos]) end++;
+      const part = escapeHtml(text.slice(pos, end));
+      out += marked[pos] ? `<mark class="search-hit">${part}</mark>` : part;
+      pos = end;
     }
-    out += escapeHtml(text.slice(pos));
     return out;
   }
 
   const currentSearch =
     productSearch && productSearch.value ? productSearch.value.trim() : "";
-
-  productsContainer.innerHTML = products
+  const termsById = {};
+  (matches || []).forEach((m) => (termsById[m.product.id] = m.terms));
+
+  // search results keep their relevance order; otherwise the best matches
+  // for the saved skin & hair profile come first (profile.js)
+  const ordered = matches
+    ? products
+    : rankProductsForProfile(products, userProfile);
+  productsContainer.innerHTML = ordered
     .map((product) => {
       const isSelected = selectedProducts.some((p) => p.id === product.id);
-      const titleHtml = highlightMatch(product.name || "", currentSearch);
+      const titleHtml = highlightMatch(
+        product.name || "",
+        termsById[product.id] || currentSearch
+      );
       return `
     <div class="product-card ${isSelected ? "selected" : ""}" data-id="${
         product.id
@@ -312,6 +571,7 @@ function displayProducts(products) {
       <div class="product-info">
         <h3>${titleHtml}</h3>
         <p>${escapeHtml(product.brand || "")}</p>
+        ${profileBadgesHtml(product, userProfile)}
         <button class="learnmore-btn" data-id="${
           product.id
         }" aria-label="Learn more about ${escapeHtml(
@@ -513,6 +773,9 @@ function updateSelectedList() {
   const list = document.getElementById("selectedProductsList");
   if (!list) return;
 
+  // flag ingredient conflicts between the selected products (ingredient-checker.js)
+  renderIngredientWarnings(selectedProducts);
+
   if (selectedProducts.length === 0) {
     list.innerHTML = `<div class="placeholder-message">No products selected</div>`;
     return;
@@ -557,12 +820,8 @@ function updateSelectedList() {
       // ignore clicks on the remove button
       if (e.target.closest(".remove-chip")) return;
 
-      // clear category filter so all products are visible
-      if (categoryFilter) {
-        try {
-          categoryFilter.value = "";
-        } catch (err) {}
-      }
+      // clear the filters so all products are visible
+      clearProductFilters();
       // update grid to show all products (search term preserved)
       updateProductGrid();
 
@@ -584,30 +843,25 @@ function updateSelectedList() {
   saveSelectedToStorage();
 }
 
-/* Update product grid based on selected category and search term */
+/* Update product grid based on the active filters and search term */
 async function updateProductGrid() {
   const products =
     allProducts && allProducts.length > 0 ? allProducts : await loadProducts();
-  const selectedCategory = categoryFilter ? categoryFilter.value : "";
   const searchTerm =
-    productSearch && productSearch.value
-      ? productSearch.value.trim().toLowerCase()
-      : "";
+    productSearch && productSearch.value ? productSearch.value.trim() : "";
 
-  let filtered = products;
-  if (selectedCategory) {
-    filtered = filtered.filter(
-      (product) => product.category === selectedCategory
-    );
-  }
+  // category, brand and concern filters (product-filters.js)
+  let filtered = applyProductFilters(products);
+  updateFilterMenus(products);
+  renderActiveFilterChips();
 
+  // full-text search over name, brand, category, description and
+  // ingredients, best matches first (product-search.js)
+  let matches = null;
   if (searchTerm) {
-    // When searching, only match the term against the product title
-    // (we still allow category filtering to apply unless chips clear it)
-    filtered = filtered.filter((product) => {
-      const title = (product.name || "").toLowerCase();
-      return title.includes(searchTerm);
-    });
+    const index = getProductSearchIndex(products);
+    matches = searchProducts(index, searchTerm, filtered);
+    filtered = matches.map((m) => m.product);
   }
 
   if (!filtered || filtered.length === 0) {
@@ -615,62 +869,121 @@ async function updateProductGrid() {
     return;
   }
 
-  displayProducts(filtered);
-}
-
-if (categoryFilter) {
-  categoryFilter.addEventListener("change", updateProductGrid);
+  displayProducts(filtered, matches);
 }
 
 if (productSearch) {
   productSearch.addEventListener("input", updateProductGrid);
 }
 
-/* Chat form submission handler - send follow-up questions about the generated routine */
-chatForm.addEventListener("submit", async (e) => {
-  e.preventDefault();
-  const input = document.getElementById("userInput");
+/*
+  askFollowUp(text, bubble)
+  - Sends a follow-up question in the active thread and streams the reply
+    into `bubble` (an assistant bubble already in the chat).
+  - While offline the question waits in the offline queue (network.js).
+    When the request fails the question is taken out of the history again
+    and the bubble gets a Retry button.
+*/
+async function askFollowUp(text, bubble) {
   const sendBtn = document.getElementById("sendBtn");
-  if (!input) return;
-  const text = input.value && input.value.trim();
-  if (!text) return;
 
-  // require generating a routine first to ask follow-ups about it
-  if (!routineGenerated) {
-    appendMessageToChat(
-      "assistant",
-      "Please generate a routine first, then ask follow-up questions about it."
+  if (isOffline()) {
+    const threadId = activeThreadId;
+    setMessageText(
+      bubble,
+      "You're offline. This question will be sent when the connection is back."
     );
+    queueWhileOffline(() => {
+      // skip it if the chat moved to another routine or thread meanwhile
+      if (activeThreadId !== threadId || !bubble.isConnected) return;
+      return askFollowUp(text, bubble);
+    });
     return;
   }
 
-  // append user's question to chat and conversation history
-  appendMessageToChat("user", text);
-  conversationMessages.push({ role: "user", content: text });
-
-  // Let the worker perform web search and include citations server-side.
+  const question = { role: "user", content: text };
+  conversationMessages.push(question);
+  // conditions or medicines in the question get extra rules for the AI and
+  // a disclaimer card under the reply (medical-safety.js)
+  const safetyTopics = detectSafetyTopics(text);
+  const safetyNotice = buildSafetyNotice(safetyTopics, selectedProducts);
 
   // disable send button while waiting
   if (sendBtn) sendBtn.disabled = true;
 
+  // the bubble fills in as tokens stream from the worker
+  setMessageText(bubble, "…");
+  bubble.classList.add("streaming");
+  const controller = beginStreamingReply();
+
   try {
-    const result = await callOpenAIWithMessages(conversationMessages);
-    // record assistant reply in history and UI
+    // stay under the token budget: the product JSON and routine are always
+    // sent, older turns go into a summary (conversation-memory.js), and the
+    // Today panel adds recent check-offs and skin notes if shared
+    // (routine-diary.js)
+    const messages = withSafetyNote(
+      withDiarySummary(await messagesWithinBudget(conversationMessages)),
+      safetyNotice
+    );
+    const result = await callOpenAIWithMessages(messages, {
+      signal: controller.signal,
+      onToken: (token, textSoFar) => setMessageText(bubble, textSoFar),
+    });
+    // record assistant reply in history and UI (a stopped reply keeps the
+    // partial text so follow-ups still see it)
     const reply = result && result.reply ? result.reply : String(result || "");
-    conversationMessages.push({ role: "assistant", content: reply });
-    appendMessageToChat("assistant", reply);
-    if (
-      result &&
-      Array.isArray(result.web_results) &&
-      result.web_results.length > 0
-    )
-      appendCitationsToChat(result.web_results);
+    const citations = (result && result.web_results) || [];
+    if (reply) {
+      const answer = { role: "assistant", content: reply, citations };
+      if (safetyNotice) answer.safetyTopics = safetyTopics;
+      conversationMessages.push(answer);
+    }
+    setMessageText(bubble, reply || "Stopped.");
+    // Sources list under the reply, with the reply's [n] markers linked to it
+    showReplyCitations(bubble, citations);
+    // the disclaimer belongs to an answer, so not under "Stopped."
+    if (reply) appendSafetyCardToChat(safetyNotice);
+    // keep the saved copy in My Routines up to date (routine-library.js)
+    updateActiveRoutineConversation();
   } catch (err) {
-    appendMessageToChat("assistant", `Error: ${err.message}`);
+    if (err.name === "AbortError") {
+      setMessageText(bubble, "Stopped.");
+    } else {
+      // unanswered: Retry (or the offline queue) sends it again
+      const i = conversationMessages.lastIndexOf(question);
+      if (i !== -1) conversationMessages.splice(i, 1);
+      if (isOffline()) askFollowUp(text, bubble);
+      else showRequestError(bubble, err, () => askFollowUp(text, bubble));
+    }
   } finally {
+    bubble.classList.remove("streaming");
+    endStreamingReply();
     if (sendBtn) sendBtn.disabled = false;
-    input.value = "";
   }
+}
+
+/* Chat form submission handler - send follow-up questions about the generated routine */
+chatForm.addEventListener("submit", (e) => {
+  e.preventDefault();
+  const input = document.getElementById("userInput");
+  if (!input) return;
+  const text = input.value && input.value.trim();
+  if (!text) return;
+
+  // require a routine in the active thread to ask follow-ups about it
+  // (chat-threads.js)
+  if (!activeThreadHasRoutine()) {
+    appendMessageToChat(
+      "assistant",
+      "Please generate a routine first, then ask follow-up questions about it."
+    );
+    return;
+  }
+
+  // show the question, then the reply bubble under it
+  appendMessageToChat("user", text);
+  input.value = "";
+  askFollowUp(text, appendMessageToChat("assistant", "…"));
 });
 
 // initialize selected products list UI
@@ -689,6 +1002,12 @@ if (existingClearBtn) {
 (async function init() {
   try {
     allProducts = await loadProducts();
+  } catch (err) {
+    // nothing works without the products: offer to try again
+    showProductsLoadError(err, init);
+    return;
+  }
+  try {
     // resolve any placeholder selected ids to full objects
     const raw = localStorage.getItem("selectedProductIds");
     if (raw) {
@@ -699,17 +1018,97 @@ if (existingClearBtn) {
     }
     // reflect any selections in the UI (if a category is already selected the cards will show selected when displayed)
     updateSelectedList();
+    // category and brand menus are built from the product data
+    initProductFilters();
     // detect language direction and apply RTL if needed
     detectAndApplyRTL();
     // observe dynamic language changes (e.g. Google Translate) and re-apply RTL when lang mutates
     observeLangAttributeChanges();
     // ensure the product grid reflects current filters/search on load
     updateProductGrid();
+    // Share button, and the read-only view when opened from a share link
+    const openedShareLink = await initShare();
+    // profile button + first-visit questionnaire
+    initProfile(openedShareLink);
+    // list of saved routines
+    initRoutineLibrary();
+    // Today checklist and diary for the open routine
+    initRoutineDiary();
+    // thread switcher above the chat window
+    initChatThreads();
   } catch (e) {
     // ignore
   }
 })();
 
+/*
+  buildRoutinePrompt(products, profile)
+  - The first user message of a routine conversation: the product JSON, the
+    schema from routine-cards.js, ingredient warnings and the profile.
+  - Also used when importing a shared routine so follow-ups have the same
+    context as a routine generated here.
+*/
+function buildRoutinePrompt(products, profile) {
+  // in id order, so the same selection always gives the same prompt (and
+  // can be answered from the worker's cache)
+  const sorted = products.slice().sort((a, b) => a.id - b.id);
+  const productsPayload = sorted.map((p) => ({
+    id: p.id,
+    name: p.name,
+    brand: p.brand,
+    category: p.category,
+    description: p.description,
+    ingredients: p.ingredients || [],
+  }));
+
+  // local ingredient checks the AI should respect when ordering steps
+  const warnings = checkIngredientConflicts(products);
+  const warningsText =
+    warnings.length > 0
+      ? "\n\nIngredient checks (respect these: never layer conflicting actives in the same step, split them between AM/PM or alternate days, and mention any missing SPF in the summary):\n" +
+        describeWarningsForPrompt(warnings, products)
+      : "";
+
+  // the customer's skin & hair profile, if they filled it in
+  const profileText = profile
+    ? "\n\nCustomer profile (tailor steps, frequency and warnings to this):\n" +
+      describeProfileForPrompt(profile)
+    : "";
+
+  // conditions in the profile (e.g. pregnancy) and the products to leave
+  // out because of them (medical-safety.js)
+  const notice = buildSafetyNotice(routineSafetyTopics(profile), products);
+  const safetyText = notice
+    ? "\n\nSafety rules (follow these over everything else):\n" +
+      describeSafetyForPrompt(notice)
+    : "";
+
+  return (
+    "Here are the selected products in JSON. Use these only and create a short routine (steps, timing, and brief why).\n\n" +
+    ROUTINE_JSON_INSTRUCTIONS +
+    "\n\nProducts:\n" +
+    JSON.stringify(productsPayload, null, 2) +
+    warningsText +
+    profileText +
+    safetyText
+  );
+}
+
+/* "Served from cache" note under a reply the worker had already written */
+function appendCacheNoteToChat(cache) {
+  if (!chatWindow || !cache || cache.status !== "HIT") return;
+  const minutes = Math.round(cache.age / 60);
+  const when =
+    minutes < 1
+      ? "just now"
+      : `${minutes} minute${minutes === 1 ? "" : "s"} ago`;
+  const note = document.createElement("div");
+  note.className = "cache-note";
+  note.innerHTML = `<i class="fa-solid fa-bolt"></i> Served from cache: this routine was written ${when} for the same products.`;
+  chatWindow.appendChild(note);
+  chatWindow.scrollTop = chatWindow.scrollHeight;
+}
+
 /* Generate routine using OpenAI when the user clicks the button */
 if (generateBtn) {
   generateBtn.addEventListener("click", async () => {
@@ -722,57 +1121,105 @@ if (generateBtn) {
       return;
     }
 
-    const productsPayload = selectedProducts.map((p) => ({
-      name: p.name,
-      brand: p.brand,
-      category: p.category,
-      description: p.description,
-    }));
-
     const userMsg = {
       role: "user",
-      content:
-        "Here are the selected products in JSON. Use these only and create a short routine (steps, timing, and brief why) formatted as plain text.\n\n" +
-        JSON.stringify(productsPayload, null, 2),
+      content: buildRoutinePrompt(selectedProducts, userProfile),
     };
 
     // prepare conversation: start with the system instruction
     conversationMessages = [systemInstruction];
     conversationMessages.push(userMsg);
+    resetConversationMemory();
+    // the previous routine keeps its threads; the new one gets its own
+    clearThreads();
 
     // UI loading state
     const prevHtml = generateBtn.innerHTML;
     generateBtn.disabled = true;
+    generateBtn.setAttribute("aria-busy", "true");
     generateBtn.innerHTML = "Generating…";
-    appendMessageToChat("assistant", "Generating routine… Please wait.");
+    const bubble = appendMessageToChat(
+      "assistant",
+      "Generating routine… Please wait."
+    );
+    bubble.classList.add("streaming");
+    const controller = beginStreamingReply();
 
     try {
-      // run a web search for the selected products to provide current context
-      // Send the user message string to the worker (it will search and call OpenAI)
-      const result = await callOpenAIWithMessages(userMsg.content);
+      // the worker's /v1/routine route searches the web for the selected
+      // products to provide current context, then writes the routine
+      const result = await callOpenAIWithMessages(userMsg.content, {
+        route: "routine",
+        products: selectedProducts.map((p) => ({
+          id: p.id,
+          name: p.name,
+          brand: p.brand,
+        })),
+        signal: controller.signal,
+        // the routine arrives as JSON, so show progress instead of the text
+        onToken: () => setMessageText(bubble, "Writing your routine…"),
+      });
 
-      // record assistant reply
+      // record assistant reply (a stopped routine is incomplete JSON, so
+      // nothing is kept or saved)
       const content =
         result && result.reply ? result.reply : String(result || "");
-      conversationMessages.push({ role: "assistant", content });
+      if (!content || result.aborted) {
+        setMessageText(bubble, "Stopped.");
+        return;
+      }
+      const citations = (result && result.web_results) || [];
+      const safetyTopics = routineSafetyTopics(userProfile);
+      const reply = { role: "assistant", content, citations };
+      if (safetyTopics.length > 0) reply.safetyTopics = safetyTopics;
+      conversationMessages.push(reply);
       routineGenerated = true;
 
-      // display assistant reply
-      appendMessageToChat("assistant", content);
-      if (
-        result &&
-        Array.isArray(result.web_results) &&
-        result.web_results.length > 0
-      )
-        appendCitationsToChat(result.web_results);
-    } catch (err) {
-      appendMessageToChat(
-        "assistant",
-        `Error generating routine: ${err.message}`
+      // display the routine as step cards when the reply matches our schema,
+      // otherwise fall back to showing the raw text
+      const check = validateRoutine(
+        parseRoutineReply(content),
+        selectedProducts.map((p) => p.id)
       );
+      let replyEl = bubble;
+      if (check.ok) {
+        bubble.remove();
+        currentRoutine = check.routine;
+        replyEl = renderRoutineCards(currentRoutine);
+      } else {
+        currentRoutine = null;
+        debugLog("Routine reply failed validation:", check.errors);
+        setMessageText(bubble, content);
+      }
+      showReplyCitations(replyEl, citations);
+      appendCacheNoteToChat(result.cache);
+      appendSafetyCardToChat(buildSafetyNotice(safetyTopics, selectedProducts));
+
+      // save it to My Routines (routine-library.js)
+      saveGeneratedRoutine();
+    } catch (err) {
+      if (err.name === "AbortError") {
+        setMessageText(bubble, "Stopped.");
+      } else {
+        const retry = () => {
+          // while offline the button is disabled (pwa.js) and a click does
+          // nothing, so keep the error and its Retry button until it works
+          if (generateBtn.disabled) {
+            showRequestError(bubble, err, retry);
+            return;
+          }
+          bubble.remove();
+          generateBtn.click();
+        };
+        showRequestError(bubble, err, retry);
+      }
     } finally {
-      generateBtn.disabled = false;
+      bubble.classList.remove("streaming");
+      endStreamingReply();
+      generateBtn.removeAttribute("aria-busy");
       generateBtn.innerHTML = prevHtml;
+      // enabled again, unless the connection dropped meanwhile (pwa.js)
+      updateGenerateAvailability();
     }
   });
 }
@@ -0,0 +1,331 @@
+/*
+  Shareable routine links
+
+  The Share button packs the selected product ids, the skin & hair profile
+  and the generated routine into the URL hash:
+
+    index.html#share=z<data>
+
+  <data> is the JSON payload below, deflated with CompressionStream when the
+  browser has it ("z" prefix) or left as plain JSON ("j" prefix), and then
+  base64url encoded so it survives being pasted into chats and emails.
+
+    { v: 1, n: "routine name", p: [product ids], f: profile, r: routine }
+
+  Nothing is sent to a server: whoever opens the link gets a read-only view
+  of the routine and can import it into their own My Routines list.
+  Everything read from a link is checked again (product ids against
+  products.json, the routine with validateRoutine) because anyone can edit
+  the hash.
+*/
+
+const SHARE_HASH_KEY = "share";
+const SHARE_VERSION = 1;
+
+let shareModalEl = null;
+let shareLastFocused = null;
+let sharedRoutine = null; // the link currently shown in the dialog
+
+/* ---------- encoding ---------- */
+
+function bytesToBase64Url(bytes) {
+  let binary = "";
+  bytes.forEach((b) => (binary += String.fromCharCode(b)));
+  return btoa(binary)
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+}
+
+function base64UrlToBytes(text) {
+  const base64 = text.replace(/-/g, "+").replace(/_/g, "/");
+  const padded = base64 + "=".repeat((4 - (base64.length % 4)) % 4);
+  return Uint8Array.from(atob(padded), (c) => c.charCodeAt(0));
+}
+
+/* Run bytes through a CompressionStream / DecompressionStream */
+async function pipeBytes(bytes, transform) {
+  const stream = new Response(bytes).body.pipeThrough(transform);
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+async function encodeSharePayload(payload) {
+  const bytes = new TextEncoder().encode(JSON.stringify(payload));
+  if (typeof CompressionStream === "function") {
+    try {
+      const packed = await pipeBytes(bytes, new CompressionStream("deflate"));
+      return "z" + bytesToBase64Url(packed);
+    } catch (e) {
+      // ignore - fall back to plain JSON below
+    }
+  }
+  return "j" + bytesToBase64Url(bytes);
+}
+
+/* Returns the parsed payload, or null when the text is not a valid link */
+async function decodeSharePayload(text) {
+  try {
+    let bytes = base64UrlToBytes(text.slice(1));
+    if (text[0] === "z") {
+      if (typeof DecompressionStream !== "function") return null;
+      bytes = await pipeBytes(bytes, new DecompressionStream("deflate"));
+    } else if (text[0] !== "j") {
+      return null;
+    }
+    return JSON.parse(new TextDecoder().decode(bytes));
+  } catch (e) {
+    return null;
+  }
+}
+
+/* ---------- building and reading links ---------- */
+
+/* Keep only profile answers this app knows about */
+function sanitizeSharedProfile(profile) {
+  if (!profile || typeof profile !== "object") return null;
+  const allowed = (options, value) =>
+    options.some((o) => o.value === value) ? value : "";
+  return {
+    skinType: allowed(SKIN_TYPES, profile.skinType),
+    concerns: Array.isArray(profile.concerns)
+      ? profile.concerns.filter((c) => allowed(SKIN_CONCERNS, c))
+      : [],
+    hairTexture: allowed(HAIR_TEXTURES, profile.hairTexture),
+    fragranceSensitive: profile.fragranceSensitive === true,
+    pregnancySafe: profile.pregnancySafe === true,
+  };
+}
+
+/*
+  parseSharePayload(payload)
+  - Turns a decoded payload into { name, products, profile, routine }, or
+    null when none of its products exist in this catalog.
+  - A routine that no longer validates (e.g. a product was removed) is
+    dropped and only the product list is shared.
+*/
+function parseSharePayload(payload) {
+  if (!payload || payload.v !== SHARE_VERSION || !Array.isArray(payload.p)) {
+    return null;
+  }
+  const ids = payload.p.map(Number);
+  const products = allProducts.filter((p) => ids.includes(p.id));
+  if (products.length === 0) return null;
+  const knownIds = products.map((p) => p.id);
+
+  let routine = null;
+  if (payload.r) {
+    const check = validateRoutine(payload.r, knownIds);
+    if (check.ok) routine = check.routine;
+  }
+
+  return {
+    name: typeof payload.n === "string" ? payload.n.trim().slice(0, 80) : "",
+    products,
+    profile: sanitizeSharedProfile(payload.f),
+    routine,
+  };
+}
+
+/* Full link for the current selection, profile and routine */
+async function buildShareUrl() {
+  const routine = routineGenerated ? currentRoutine : null;
+  const ids = new Set(selectedProducts.map((p) => p.id));
+  // the selection may have changed since the routine was generated
+  if (routine) {
+    ROUTINE_SECTIONS.forEach(({ key }) =>
+      routine[key].forEach((s) => ids.add(s.productId))
+    );
+  }
+  const payload = {
+    v: SHARE_VERSION,
+    n: routine ? defaultRoutineName(routine) : "",
+    p: [...ids],
+    f: userProfile || null,
+    r: routine,
+  };
+  const data = await encodeSharePayload(payload);
+  const base = location.href.split("#")[0];
+  return `${base}#${SHARE_HASH_KEY}=${data}`;
+}
+
+/* Share button: copy the link, or show it when the clipboard is blocked */
+async function shareCurrentRoutine() {
+  if (selectedProducts.length === 0) {
+    alert("Select at least one product to share.");
+    return;
+  }
+  const url = await buildShareUrl();
+  try {
+    await navigator.clipboard.writeText(url);
+    alert(
+      routineGenerated && currentRoutine
+        ? "Link copied! Anyone with it can view and import this routine."
+        : "Link copied! Anyone with it can view your selected products."
+    );
+  } catch (e) {
+    prompt("Copy this link to share your routine:", url);
+  }
+}
+
+/* The shared data in the current URL, or null */
+async function readSharedRoutineFromUrl() {
+  const match = location.hash.match(
+    new RegExp(`^#${SHARE_HASH_KEY}=([A-Za-z0-9_-]+)$`)
+  );
+  if (!match) return null;
+  return parseSharePayload(await decodeSharePayload(match[1]));
+}
+
+/* Remove #share=... from the address bar without reloading */
+function clearShareHash() {
+  if (!location.hash) return;
+  try {
+    history.replaceState(null, "", location.pathname + location.search);
+  } catch (e) {
+    location.hash = "";
+  }
+}
+
+/* ---------- read-only view ---------- */
+
+function createShareModal() {
+  shareModalEl = document.createElement("div");
+  shareModalEl.className = "modal-overlay share-overlay";
+  shareModalEl.innerHTML = `
+    <div class="modal share-modal" role="dialog" aria-modal="true" aria-labelledby="shareTitle">
+      <button class="modal-close" type="button" aria-label="Close">✕</button>
+      <p class="share-badge"><i class="fa-solid fa-link"></i> Shared with you · read-only</p>
+      <h3 id="shareTitle" class="modal-title"></h3>
+      <p class="share-profile"></p>
+      <ul class="share-products"></ul>
+      <div class="share-routine"></div>
+      <div class="profile-actions">
+        <button type="button" class="clear-btn share-dismiss">Close</button>
+        <button type="button" class="generate-btn share-import"></button>
+      </div>
+    </div>
+  `;
+
+  // close when clicking on overlay (but not when clicking inside modal)
+  shareModalEl.addEventListener("click", (e) => {
+    if (e.target === shareModalEl) closeSharedRoutine();
+  });
+
+  shareModalEl
+    .querySelector(".modal-close")
+    .addEventListener("click", () => closeSharedRoutine());
+
+  shareModalEl
+    .querySelector(".share-dismiss")
+    .addEventListener("click", () => closeSharedRoutine());
+
+  shareModalEl.addEventListener("keydown", (e) => {
+    if (e.key === "Escape") closeSharedRoutine();
+  });
+
+  shareModalEl
+    .querySelector(".share-import")
+    .addEventListener("click", () => importSharedRoutine());
+
+  document.body.appendChild(shareModalEl);
+}
+
+/*
+  showSharedRoutine(shared)
+  - Opens the dialog with the shared products, profile and routine. Nothing
+    in the app changes until the user clicks the import button.
+*/
+function showSharedRoutine(shared) {
+  if (!shareModalEl) createShareModal();
+  sharedRoutine = shared;
+  shareLastFocused = document.activeElement;
+
+  const title =
+    shared.name || (shared.routine ? "Shared routine" : "Shared products");
+  shareModalEl.querySelector(".modal-title").textContent = title;
+  shareModalEl.querySelector(".share-profile").textContent = shared.profile
+    ? `Made for: ${profileSummaryText(shared.profile)}`
+    : "";
+
+  shareModalEl.querySelector(".share-products").innerHTML = shared.products
+    .map(
+      (p) =>
+        `<li><strong>${escapeHtml(p.brand)}</strong> ${escapeHtml(p.name)}</li>`
+    )
+    .join("");
+
+  const routineBox = shareModalEl.querySelector(".share-routine");
+  routineBox.innerHTML = shared.routine ? routineCardsHtml(shared.routine) : "";
+  wireRoutineCards(routineBox);
+
+  shareModalEl.querySelector(".share-import").textContent = shared.routine
+    ? "Import into my routines"
+    : "Use these products";
+
+  shareModalEl.classList.add("open");
+  shareModalEl.querySelector(".modal-close").focus();
+}
+
+function closeSharedRoutine() {
+  if (!shareModalEl) return;
+  shareModalEl.classList.remove("open");
+  sharedRoutine = null;
+  clearShareHash();
+  setTimeout(() => {
+    if (shareLastFocused && typeof shareLastFocused.focus === "function")
+      shareLastFocused.focus();
+  }, 240);
+}
+
+/*
+  importSharedRoutine()
+  - With a routine: saves it to My Routines (with a conversation that looks
+    like it was generated here, so follow-up questions work) and opens it.
+  - Without one: just selects the shared products.
+*/
+async function importSharedRoutine() {
+  const shared = sharedRoutine;
+  if (!shared) return;
+  closeSharedRoutine();
+
+  if (!shared.routine) {
+    selectedProducts = shared.products.slice();
+    saveSelectedToStorage();
+    updateSelectedList();
+    updateProductGrid();
+    return;
+  }
+
+  try {
+    const id = await saveImportedRoutine(shared);
+    await openSavedRoutine(id);
+  } catch (err) {
+    debugLog("Could not import shared routine:", err);
+    alert("Sorry, this routine could not be saved in this browser.");
+  }
+}
+
+/*
+  initShare()
+  - Wires up the Share button and opens the read-only view when the page was
+    loaded from a share link (or one is pasted into the address bar later).
+  - Returns true when a shared routine is being shown, so init() can skip
+    the first-visit profile questionnaire.
+*/
+async function initShare() {
+  const btn = document.getElementById("shareBtn");
+  if (btn) btn.addEventListener("click", () => shareCurrentRoutine());
+
+  const openFromUrl = async () => {
+    const shared = await readSharedRoutineFromUrl();
+    if (shared) showSharedRoutine(shared);
+    else if (location.hash.startsWith(`#${SHARE_HASH_KEY}=`)) {
+      clearShareHash();
+      alert("This share link is broken or out of date.");
+    }
+    return Boolean(shared);
+  };
+
+  window.addEventListener("hashchange", () => openFromUrl());
+  return openFromUrl();
+}
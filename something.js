@@ -1,26 +1,135 @@
 // Copy this code into your Cloudflare Worker script
+//
+// This is the minimal chat-only worker. search-proxy-worker.js does the same
+// and more (web search, streaming, rate limits); prefer it for deployment.
+//
+// Set ALLOWED_ORIGINS to a comma-separated list of the pages that may use
+// this worker, e.g. "https://me.github.io". Unset, only localhost pages can.
+//
+// Requests without an Origin (curl, scripts) skip the origin check, so every
+// request is also rate limited per IP: RATE_LIMIT_IP_PER_MINUTE requests a
+// minute (default 30, "0" turns it off), counted in memory per worker
+// instance like search-proxy-worker.js does without RATE_LIMIT_KV.
+
+const MAX_BODY_BYTES = 256 * 1024;
+const MAX_MESSAGES = 50;
+const MAX_MESSAGE_CHARS = 50000;
+const DEFAULT_IP_LIMIT = 30;
+
+// token buckets: client IP -> { tokens, at }
+const ipBuckets = new Map();
+
+function ipLimit(env) {
+  const value = env.RATE_LIMIT_IP_PER_MINUTE;
+  const n = Number(value);
+  return value !== undefined && value !== '' && n >= 0 ? n : DEFAULT_IP_LIMIT;
+}
+
+// Takes one token from the IP's bucket, which refills `capacity` tokens a
+// minute. Returns 0, or the seconds to wait when the bucket is empty.
+function takeToken(ip, capacity) {
+  const now = Date.now();
+  const perMs = capacity / 60000;
+  const saved = ipBuckets.get(ip);
+  const tokens = saved ? Math.min(capacity, saved.tokens + (now - saved.at) * perMs) : capacity;
+  if (tokens < 1) return Math.ceil((1 - tokens) / perMs / 1000);
+
+  ipBuckets.set(ip, { tokens: tokens - 1, at: now });
+  // buckets unused for a minute are full again, so they can go
+  if (ipBuckets.size > 10000) {
+    ipBuckets.forEach((b, key) => now - b.at > 60000 && ipBuckets.delete(key));
+  }
+  return 0;
+}
+
+function isAllowedOrigin(origin, env) {
+  if (!origin) return true; // not from a browser page
+  if (!env.ALLOWED_ORIGINS) {
+    return /^http:\/\/(localhost|127\.0\.0\.1)(:\d+)?$/.test(origin);
+  }
+  const allowed = env.ALLOWED_ORIGINS.split(',').map((o) => o.trim());
+  return allowed.includes('*') || allowed.includes(origin);
+}
+
+// Only pass on well-formed messages, and not too many or too long
+function readMessages(body) {
+  const messages = body && body.messages;
+  if (!Array.isArray(messages) || messages.length === 0) {
+    return { error: '"messages" must be a non-empty array', status: 400 };
+  }
+  if (messages.length > MAX_MESSAGES) {
+    return { error: `Too many messages (at most ${MAX_MESSAGES})`, status: 413 };
+  }
+  for (const m of messages) {
+    if (!m || !['system', 'user', 'assistant'].includes(m.role) || typeof m.content !== 'string') {
+      return { error: 'Every message needs a role and a string content', status: 400 };
+    }
+    if (m.content.length > MAX_MESSAGE_CHARS) {
+      return { error: `Messages can be at most ${MAX_MESSAGE_CHARS} characters`, status: 413 };
+    }
+  }
+  return { messages: messages.map((m) => ({ role: m.role, content: m.content })) };
+}
 
 export default {
   async fetch(request, env) {
+    const origin = request.headers.get('Origin');
     const corsHeaders = {
-      'Access-Control-Allow-Origin': '*',
-      'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+      'Access-Control-Allow-Methods': 'POST, OPTIONS',
       'Access-Control-Allow-Headers': 'Content-Type',
-      'Content-Type': 'application/json'
+      'Access-Control-Expose-Headers': 'Retry-After',
+      'Content-Type': 'application/json',
+      'Vary': 'Origin'
     };
+    const reply = (data, status = 200, headers = {}) =>
+      new Response(JSON.stringify(data), { status, headers: { ...corsHeaders, ...headers } });
+
+    // Pages on other sites get no CORS headers, so browsers block them
+    if (!isAllowedOrigin(origin, env)) {
+      return reply({ error: 'This origin may not use this API' }, 403);
+    }
+    if (origin) corsHeaders['Access-Control-Allow-Origin'] = origin;
 
     // Handle CORS preflight requests
     if (request.method === 'OPTIONS') {
       return new Response(null, { headers: corsHeaders });
     }
+    if (request.method !== 'POST') {
+      return reply({ error: 'Use POST' }, 405);
+    }
+
+    const capacity = ipLimit(env);
+    if (capacity > 0) {
+      const ip = request.headers.get('CF-Connecting-IP') || 'unknown';
+      const wait = takeToken(ip, capacity);
+      if (wait > 0) {
+        return reply(
+          { error: `Too many requests. Please wait ${wait} seconds and try again.` },
+          429,
+          { 'Retry-After': String(wait) }
+        );
+      }
+    }
+
+    const text = await request.text();
+    if (new TextEncoder().encode(text).length > MAX_BODY_BYTES) {
+      return reply({ error: `Request body is over ${MAX_BODY_BYTES} bytes` }, 413);
+    }
+    let userInput;
+    try {
+      userInput = JSON.parse(text);
+    } catch (e) {
+      return reply({ error: 'Request body is not valid JSON' }, 400);
+    }
+    const checked = readMessages(userInput);
+    if (checked.error) return reply({ error: checked.error }, checked.status);
 
     const apiKey = env.OPENAI_API_KEY; // Make sure to name your secret OPENAI_API_KEY in the Cloudflare Workers dashboard
     const apiUrl = 'https://api.openai.com/v1/chat/completions';
-    const userInput = await request.json();
 
     const requestBody = {
       model: 'gpt-4o',
-      messages: userInput.messages,
+      messages: checked.messages,
       max_completion_tokens: 300,
     };
 
@@ -35,6 +144,11 @@ export default {
 
     const data = await response.json();
 
-    return new Response(JSON.stringify(data), { headers: corsHeaders });
+    // upstream error details stay in the worker log, not in the page
+    if (!response.ok) {
+      console.warn(JSON.stringify({ type: 'upstream_error', status: response.status, detail: data }));
+      return reply({ error: `OpenAI API error (${response.status})` }, 502);
+    }
+    return reply(data);
   }
 };
@@ -0,0 +1,183 @@
+/*
+  Service worker: offline catalog browsing
+
+  Registered by pwa.js. Caching strategies:
+    - app shell (HTML, CSS, scripts, logo): precached on install and served
+      stale-while-revalidate, so the app opens offline and picks up a new
+      version on the next visit
+    - products.json: stale-while-revalidate (fast, and refreshed in the
+      background)
+    - product images (cdn.jsdelivr.net): cache-first, they never change
+    - fonts and icon styles from their CDNs: stale-while-revalidate
+  Worker API calls (POST) are never cached; pwa.js disables Generate
+  Routine while offline instead.
+
+  secrets.js is never cached: it can hold an API key, which must not be
+  left on disk. Offline the app starts without it, on its defaults.
+
+  Bump CACHE_VERSION when the list of shell files changes (v5 also deletes
+  the copies of secrets.js that v3 and v4 cached).
+*/
+
+const CACHE_VERSION = "v5";
+const SHELL_CACHE = `shell-${CACHE_VERSION}`;
+const DATA_CACHE = `data-${CACHE_VERSION}`;
+const IMAGE_CACHE = `images-${CACHE_VERSION}`;
+const CDN_CACHE = `cdn-${CACHE_VERSION}`;
+const MAX_CACHED_IMAGES = 200;
+
+const APP_SHELL = [
+  "./",
+  "index.html",
+  "style.css",
+  "print.css",
+  "manifest.webmanifest",
+  "img/loreal-logo.png",
+  "img/icon.svg",
+  "network.js",
+  "routine-cards.js",
+  "citations.js",
+  "conversation-memory.js",
+  "markdown.js",
+  "ingredient-checker.js",
+  "profile.js",
+  "safety-rules.js",
+  "medical-safety.js",
+  "product-search.js",
+  "product-filters.js",
+  "routine-export.js",
+  "routine-calendar.js",
+  "routine-diary.js",
+  "chat-threads.js",
+  "routine-library.js",
+  "share.js",
+  "pwa.js",
+  "script.js",
+];
+const PRODUCTS_URL = "products.json";
+const SECRETS_URL = "secrets.js";
+
+// fonts and Font Awesome
+const CDN_HOSTS = [
+  "fonts.googleapis.com",
+  "fonts.gstatic.com",
+  "cdnjs.cloudflare.com",
+];
+const IMAGE_HOSTS = ["cdn.jsdelivr.net"];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    Promise.all([
+      caches.open(SHELL_CACHE).then((cache) => cache.addAll(APP_SHELL)),
+      caches.open(DATA_CACHE).then((cache) => cache.add(PRODUCTS_URL)),
+    ]).then(() => self.skipWaiting())
+  );
+});
+
+/* Remove caches from older versions */
+self.addEventListener("activate", (event) => {
+  const current = [SHELL_CACHE, DATA_CACHE, IMAGE_CACHE, CDN_CACHE];
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys.filter((k) => !current.includes(k)).map((k) => caches.delete(k))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+/* Only successful (or opaque cross-origin) responses are worth keeping */
+function isCacheable(resp) {
+  return resp && (resp.ok || resp.type === "opaque");
+}
+
+/*
+  staleWhileRevalidate(event, cacheName)
+  - Answers from the cache when possible and refreshes the cached copy in
+    the background. Without a cached copy it waits for the network.
+*/
+async function staleWhileRevalidate(event, cacheName) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(event.request, { ignoreSearch: true });
+  const refresh = fetch(event.request)
+    .then((resp) => {
+      if (isCacheable(resp)) cache.put(event.request, resp.clone());
+      return resp;
+    })
+    .catch(() => null);
+
+  if (cached) {
+    event.waitUntil(refresh);
+    return cached;
+  }
+  const resp = await refresh;
+  return resp || Response.error();
+}
+
+/*
+  cacheFirst(event, cacheName)
+  - Answers from the cache and only goes to the network for new files.
+*/
+async function cacheFirst(event, cacheName) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(event.request);
+  if (cached) return cached;
+  try {
+    const resp = await fetch(event.request);
+    if (isCacheable(resp)) {
+      await cache.put(event.request, resp.clone());
+      event.waitUntil(trimCache(cacheName, MAX_CACHED_IMAGES));
+    }
+    return resp;
+  } catch (err) {
+    return Response.error();
+  }
+}
+
+/* Keep the image cache from growing forever (oldest entries go first) */
+async function trimCache(cacheName, maxEntries) {
+  const cache = await caches.open(cacheName);
+  const keys = await cache.keys();
+  for (const key of keys.slice(0, Math.max(0, keys.length - maxEntries))) {
+    await cache.delete(key);
+  }
+}
+
+/* Pages: the network when online, the cached app shell when offline */
+async function networkFirstPage(event) {
+  try {
+    const resp = await fetch(event.request);
+    if (resp.ok) {
+      const cache = await caches.open(SHELL_CACHE);
+      cache.put("index.html", resp.clone());
+    }
+    return resp;
+  } catch (err) {
+    const cached = await caches.match("index.html");
+    return cached || Response.error();
+  }
+}
+
+self.addEventListener("fetch", (event) => {
+  const request = event.request;
+  if (request.method !== "GET") return; // API calls go straight through
+  const url = new URL(request.url);
+  if (/\/v\d+\//.test(url.pathname)) return; // worker routes (mock server)
+  if (url.pathname.endsWith(`/${SECRETS_URL}`)) return; // never cached
+
+  if (request.mode === "navigate") {
+    event.respondWith(networkFirstPage(event));
+  } else if (IMAGE_HOSTS.includes(url.hostname)) {
+    event.respondWith(cacheFirst(event, IMAGE_CACHE));
+  } else if (CDN_HOSTS.includes(url.hostname)) {
+    event.respondWith(staleWhileRevalidate(event, CDN_CACHE));
+  } else if (url.origin === self.location.origin) {
+    const cacheName = url.pathname.endsWith(`/${PRODUCTS_URL}`)
+      ? DATA_CACHE
+      : SHELL_CACHE;
+    event.respondWith(staleWhileRevalidate(event, cacheName));
+  }
+});
@@ -0,0 +1,175 @@
+/*
+  Tests for mock-server.js: static files and the API routes over HTTP,
+  the way the page uses them. Run with `node --test`.
+*/
+
+// no pauses between streamed words (read when mock-server.js loads)
+process.env.MOCK_DELAY_MS = "0";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { startMockServer } = require("../mock-server.js");
+
+// the worker writes a JSON log line per request; keep the test output clean
+test.mock.method(console, "log", () => {});
+
+const ROOT = path.join(__dirname, "..");
+const products = JSON.parse(
+  fs.readFileSync(path.join(ROOT, "products.json"), "utf8")
+).products;
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+  server = await startMockServer(0, { ADMIN_SECRET: "test-secret" });
+  baseUrl = `http://localhost:${server.address().port}`;
+});
+
+test.after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+/* POST `body` as JSON from a local page, like the app does */
+function post(route, body) {
+  return fetch(`${baseUrl}${route}`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      Origin: "http://localhost:8787",
+    },
+    body: JSON.stringify(body),
+  });
+}
+
+/* The events of a server-sent events reply as [{ event, data }] */
+function parseEvents(text) {
+  return text
+    .split("\n\n")
+    .filter(Boolean)
+    .map((block) => ({
+      event: block.match(/^event: (.*)$/m)[1],
+      data: JSON.parse(block.match(/^data: (.*)$/m)[1]),
+    }));
+}
+
+test("serves the app's files", async () => {
+  const page = await fetch(`${baseUrl}/`);
+  assert.equal(page.status, 200);
+  assert.match(page.headers.get("Content-Type"), /text\/html/);
+
+  const data = await fetch(`${baseUrl}/products.json`);
+  assert.equal(data.status, 200);
+  assert.equal((await data.json()).products.length, products.length);
+
+  const missing = await fetch(`${baseUrl}/nothing-here.js`);
+  assert.equal(missing.status, 404);
+});
+
+test("serves a secrets.js that points at the mock", async () => {
+  if (fs.existsSync(path.join(ROOT, "secrets.js"))) return; // yours is used
+  const resp = await fetch(`${baseUrl}/secrets.js`);
+  assert.equal(resp.status, 200);
+  assert.match(await resp.text(), /window\.CF_WORKER_URL = location\.origin/);
+});
+
+test("never serves files outside the folder or dotfiles", async () => {
+  const forbidden = [
+    "/..%2Ftree2%2Fsecret",
+    "/..%2F..%2Fetc%2Fpasswd",
+    "/.git/HEAD",
+    "/.gitignore",
+    "/img/..%2F.git%2Fconfig",
+  ];
+  for (const route of forbidden) {
+    const resp = await fetch(`${baseUrl}${route}`);
+    assert.equal(resp.status, 403, route);
+  }
+});
+
+test("answers CORS preflights for local pages", async () => {
+  const resp = await fetch(`${baseUrl}/v1/chat`, {
+    method: "OPTIONS",
+    headers: { Origin: "http://localhost:8787" },
+  });
+  assert.equal(resp.status, 204);
+  assert.equal(
+    resp.headers.get("Access-Control-Allow-Origin"),
+    "http://localhost:8787"
+  );
+});
+
+test("/v1/routine returns a routine for the selected products", async () => {
+  const selected = products.slice(0, 3);
+  const productsJson = JSON.stringify(selected);
+  const prompt = `Products:\n${productsJson}\n\nReply with ONLY a JSON object.`;
+  const resp = await post("/v1/routine", {
+    messages: [{ role: "user", content: prompt }],
+    products: selected.map(({ id, name, brand }) => ({ id, name, brand })),
+  });
+  assert.equal(resp.status, 200);
+
+  const { ok, data } = await resp.json();
+  assert.equal(ok, true);
+  const routine = JSON.parse(data.reply);
+  const steps = [...routine.am, ...routine.pm, ...routine.weekly];
+  const used = new Set(steps.map((s) => s.productId));
+  assert.deepEqual(
+    [...used].sort((a, b) => a - b),
+    selected.map((p) => p.id).sort((a, b) => a - b)
+  );
+  assert.ok(data.citations.length > 0);
+  data.citations.forEach((c) => assert.match(c.url, /^https:\/\//));
+});
+
+test("/v1/chat streams the reply as events", async () => {
+  const resp = await post("/v1/chat", {
+    messages: [{ role: "user", content: "How often should I use a mask?" }],
+    stream: true,
+  });
+  assert.equal(resp.status, 200);
+  assert.match(resp.headers.get("Content-Type"), /text\/event-stream/);
+
+  const events = parseEvents(await resp.text());
+  const names = events.map((e) => e.event);
+  assert.equal(names[names.length - 1], "done");
+  assert.ok(names.includes("citations"));
+
+  const streamed = events
+    .filter((e) => e.event === "delta")
+    .map((e) => e.data.text)
+    .join("");
+  const done = events[events.length - 1].data;
+  assert.equal(streamed, done.reply);
+  assert.match(done.reply, /How often should I use a mask\?/);
+});
+
+test("/v1/summarize folds questions into the summary", async () => {
+  const resp = await post("/v1/summarize", {
+    summary: "- Customer has dry skin",
+    messages: [
+      { role: "user", content: "Can I use retinol every night?" },
+      { role: "assistant", content: "Start twice a week." },
+    ],
+  });
+  const { ok, data } = await resp.json();
+  assert.equal(ok, true);
+  assert.match(data.summary, /dry skin/);
+  assert.match(data.summary, /retinol every night/);
+});
+
+test("/admin/metrics needs the admin secret", async () => {
+  const denied = await fetch(`${baseUrl}/admin/metrics`);
+  assert.equal(denied.status, 401);
+
+  const resp = await fetch(`${baseUrl}/admin/metrics`, {
+    headers: { Authorization: "Bearer test-secret" },
+  });
+  assert.equal(resp.status, 200);
+  const { data } = await resp.json();
+  assert.ok(data.totals.requests > 0);
+  assert.ok(data.routes["/v1/routine"]);
+});
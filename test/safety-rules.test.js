@@ -0,0 +1,111 @@
+/*
+  Tests for safety-rules.js. Run with `node --test`.
+
+  The page's scripts share globals instead of using import/export, so the
+  two files are run in one `vm` context, in the same order as index.html,
+  and their functions are read from there. Arrays made in that context
+  have their own Array prototype, so they are copied with [...list] before
+  deepEqual compares them.
+*/
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const ROOT = path.join(__dirname, "..");
+const context = vm.createContext({});
+["ingredient-checker.js", "safety-rules.js"].forEach((file) => {
+  const source = fs.readFileSync(path.join(ROOT, file), "utf8");
+  vm.runInContext(source, context, { filename: file });
+});
+const { detectSafetyTopics, buildSafetyNotice, describeSafetyForPrompt } =
+  vm.runInContext(
+    "({ detectSafetyTopics, buildSafetyNotice, describeSafetyForPrompt })",
+    context
+  );
+
+const products = JSON.parse(
+  fs.readFileSync(path.join(ROOT, "products.json"), "utf8")
+).products;
+
+/* The first product whose ingredients include `ingredient` */
+function productWith(ingredient) {
+  const product = products.find((p) =>
+    (p.ingredients || []).includes(ingredient)
+  );
+  assert.ok(product, `products.json has a product with ${ingredient}`);
+  return product;
+}
+
+test("detects the topics a question mentions", () => {
+  const cases = {
+    "I'm pregnant, can I use retinol?": ["pregnancy"],
+    "I'm on Accutane and my lips are so dry": ["isotretinoin"],
+    "My dermatologist prescribed tretinoin": ["prescriptionTopical"],
+    "I take doxycycline for my skin": ["oralMedication"],
+    "I have a rash after using this serum": ["skinReaction"],
+    "Eczema flare on my cheeks": ["eczema"],
+    "rosacea-friendly moisturizer?": ["rosacea"],
+    "Breastfeeding and I broke out in hives": ["skinReaction", "pregnancy"],
+  };
+  for (const [text, ids] of Object.entries(cases)) {
+    assert.deepEqual([...detectSafetyTopics(text)], ids, text);
+  }
+});
+
+test("ordinary questions have no safety topics", () => {
+  const questions = [
+    "Which order should I apply these in?",
+    "Is this serum good for dry skin?",
+    "Can I use vitamin C in the morning?",
+    "",
+    null,
+  ];
+  questions.forEach((text) => {
+    assert.deepEqual([...detectSafetyTopics(text)], [], String(text));
+  });
+});
+
+test("no topics, no notice", () => {
+  assert.equal(buildSafetyNotice([], products), null);
+  assert.equal(buildSafetyNotice(["unknown"], products), null);
+  assert.equal(buildSafetyNotice(undefined, products), null);
+});
+
+test("flags the products to leave out and why", () => {
+  const retinol = productWith("retinol");
+  const cleanser = products.find(
+    (p) =>
+      p.category === "cleanser" && !(p.ingredients || []).includes("retinol")
+  );
+
+  const notice = buildSafetyNotice(["pregnancy"], [retinol, cleanser]);
+  assert.deepEqual([...notice.topics.map((t) => t.id)], ["pregnancy"]);
+  assert.equal(notice.flagged.length, 1);
+  assert.equal(notice.flagged[0].product, retinol);
+  assert.deepEqual([...notice.flagged[0].actives], ["Retinoid"]);
+});
+
+test("a topic without actives to avoid flags nothing", () => {
+  const notice = buildSafetyNotice(
+    ["oralMedication"],
+    [productWith("retinol")]
+  );
+  assert.equal(notice.topics.length, 1);
+  assert.deepEqual([...notice.flagged], []);
+});
+
+test("the prompt rules name the advice and the flagged products", () => {
+  const retinol = productWith("retinol");
+  const text = describeSafetyForPrompt(
+    buildSafetyNotice(["pregnancy"], [retinol])
+  );
+  assert.match(text, /Pregnancy or breastfeeding: /);
+  assert.ok(
+    text.includes(`Do not recommend ${retinol.name} (id ${retinol.id})`)
+  );
+  assert.match(text, /You are not a doctor/);
+  assert.equal(describeSafetyForPrompt(null), "");
+});
@@ -0,0 +1,59 @@
+/*
+  Tests for something.js, the minimal chat-only worker. Run with
+  `node --test`. Only the checks that run before OpenAI is called are
+  tested here, so no key or network is needed.
+*/
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+
+// something.js is an ES module (export default), loaded like mock-server.js
+// loads the main worker
+async function loadChatWorker() {
+  const source = fs.readFileSync(path.join(__dirname, "../something.js"));
+  const url = "data:text/javascript;base64," + source.toString("base64");
+  return (await import(url)).default;
+}
+
+/* POST an empty JSON object (400 unless the request is refused first) */
+async function post(headers, env = {}) {
+  const worker = await loadChatWorker();
+  const request = new Request("http://localhost/", {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body: "{}",
+  });
+  return worker.fetch(request, env);
+}
+
+test("pages from other sites are refused", async () => {
+  const resp = await post({ Origin: "https://evil.example" });
+  assert.equal(resp.status, 403);
+  assert.equal(resp.headers.get("Access-Control-Allow-Origin"), null);
+});
+
+test("requests without an Origin are rate limited per IP", async () => {
+  const env = { RATE_LIMIT_IP_PER_MINUTE: "2" };
+  const ip = { "CF-Connecting-IP": "203.0.113.50" };
+  assert.equal((await post(ip, env)).status, 400);
+  assert.equal((await post(ip, env)).status, 400);
+
+  const limited = await post(ip, env);
+  assert.equal(limited.status, 429);
+  assert.ok(Number(limited.headers.get("Retry-After")) > 0);
+  assert.match((await limited.json()).error, /Too many requests/);
+
+  // another IP has its own bucket
+  const other = await post({ "CF-Connecting-IP": "203.0.113.51" }, env);
+  assert.equal(other.status, 400);
+});
+
+test("the limit can be turned off", async () => {
+  const env = { RATE_LIMIT_IP_PER_MINUTE: "0" };
+  const ip = { "CF-Connecting-IP": "203.0.113.52" };
+  for (let i = 0; i < 40; i++) {
+    assert.equal((await post(ip, env)).status, 400);
+  }
+});